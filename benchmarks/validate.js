@@ -0,0 +1,46 @@
+'use strict';
+
+const Benchmark = require('benchmark');
+const inputCheck = require('../');
+
+const size = Number(process.argv[2]) || 1000;
+
+const rules = {
+  'users.*.username': 'required|alpha_numeric',
+  'users.*.email': 'required|email',
+  'users.*.age': 'required|integer|range:18,99',
+  'users.*.tags.*': 'string|max:20'
+};
+
+const makeUsers = function (valid) {
+  const users = [];
+  for (let index = 0; index < size; index++) {
+    users.push({
+      username: `user${index}`,
+      email: valid || index % 2 ? `user${index}@example.com` : `user${index}`,
+      age: 18 + index % 60,
+      tags: ['node', 'validator']
+    });
+  }
+  return {users};
+};
+
+const validData = makeUsers(true);
+const invalidData = makeUsers(false);
+const schema = inputCheck.compile(rules);
+
+const deferred = function (run) {
+  return {
+    defer: true,
+    fn: function (deferred) {
+      run().then(() => deferred.resolve(), () => deferred.resolve());
+    }
+  };
+};
+
+new Benchmark.Suite()
+.add(`validate ${size} valid users`, deferred(() => schema.validate(validData)))
+.add(`validateAll ${size} valid users`, deferred(() => schema.validateAll(validData)))
+.add(`validateAll ${size} users with errors`, deferred(() => schema.validateAll(invalidData)))
+.on('cycle', (event) => console.log(String(event.target)))
+.run({async: true});
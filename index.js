@@ -2,15 +2,63 @@
 
 const Validator = require('./src/Validator');
 const Sanitization = require('./src/Sanitization');
+const Adapters = require('./src/Adapters');
 
-module.exports = {
-  validate: Validator.validate,
-  validateAll: Validator.validateAll,
-  extend: Validator.extend,
-  is: Validator.is,
-  'is.extend': Validator.is.extend,
-  sanitize: Sanitization.sanitize,
-  sanitizor: Sanitization.sanitizor,
-  sanitizeAll: Sanitization.sanitizeAll,
-  'sanitizor.extend': Sanitization.sanitizor.extend
+/**
+ * builds the public interface for a given validator
+ * and sanitization pair.
+ *
+ * @param  {Object} validator
+ * @param  {Object} sanitization
+ *
+ * @return {Object}
+ *
+ * @private
+ */
+const _makeInterface = function (validator, sanitization) {
+  return {
+    validate: validator.validate,
+    validateAll: validator.validateAll,
+    validateSync: validator.validateSync,
+    validateAllSync: validator.validateAllSync,
+    compile: validator.compile,
+    when: validator.when,
+    extend: validator.extend,
+    setMode: validator.setMode,
+    setBail: validator.setBail,
+    setAdapter: validator.setAdapter,
+    is: validator.is,
+    'is.extend': validator.is.extend,
+    sanitize: sanitization.sanitize,
+    sanitizor: sanitization.sanitizor,
+    sanitizeAll: sanitization.sanitizeAll,
+    'sanitizor.extend': sanitization.sanitizor.extend
+  };
 };
+
+const inputCheck = module.exports = _makeInterface(Validator, Sanitization);
+
+/**
+ * creates an isolated instance with its own rules, messages,
+ * filters and mode. The top level exports keep acting as
+ * the default instance.
+ *
+ * @param  {Object} [options]
+ * @param  {String} [options.mode]
+ * @param  {Boolean} [options.bail]
+ * @param  {Object} [options.adapter]
+ * @param  {Object} [options.messages]
+ * @param  {Object} [options.rules]
+ * @param  {Object} [options.filters]
+ *
+ * @return {Object}
+ */
+inputCheck.create = function (options) {
+  options = options || {};
+  return _makeInterface(Validator.create(options), Sanitization.create(options.filters));
+};
+
+/**
+ * @see Adapters
+ */
+inputCheck.adapters = Adapters;
@@ -0,0 +1,45 @@
+'use strict';
+
+const _ = require('lodash');
+const Raw = require('../Raw');
+
+/**
+ * @module Adapters
+ * @description Adapters used by the `exists` and `unique` rules
+ * to look up values inside a data source. An adapter is an
+ * object with a `lookup (table, column, value, options)`
+ * method returning, or resolving with, the number of
+ * records having the value. Records with `options.idColumn`
+ * equal to `options.except` must not be counted. Adapters
+ * looking up values synchronously set `sync` to `true`, so
+ * that they can be used for synchronous validation.
+ * @type {Object}
+ */
+let Adapters = module.exports = {};
+
+/**
+ * @description creates an adapter looking up values inside
+ * arrays of records held in memory, keyed by table name.
+ * Records added to the tables later on are visible to
+ * the adapter.
+ * @method memory
+ * @param  {Object} [tables]
+ * @return {Object}
+ * @example
+ *   memory({users: [{id: 1, email: 'virk@adonisjs.com'}]})
+ * @public
+ */
+Adapters.memory = function (tables) {
+  tables = tables || {};
+  return {
+    tables,
+    sync: true,
+    lookup: function (table, column, value, options) {
+      const except = _.get(options, 'except');
+      const idColumn = _.get(options, 'idColumn', 'id');
+      return _.filter(tables[table], (record) => {
+        return Raw.looselySame(record[column], value) && (_.isNil(except) || !Raw.looselySame(record[idColumn], except));
+      }).length;
+    }
+  };
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+const Raw = require('../Raw');
+const moment = require('moment');
+
+/**
+ * @module Casts
+ * @description List of methods casting values of fields
+ * which passed a type rule, keyed by rule name.
+ * @type {Object}
+ */
+let Casts = module.exports = {};
+
+/**
+ * @description casts numeric strings to numbers
+ * @method numeric
+ * @param  {Mixed} value
+ * @return {Mixed}
+ * @public
+ */
+Casts.numeric = function (value) {
+  return Raw.numeric(value) ? Number(value) : value;
+};
+
+/**
+ * @description casts integer strings to numbers
+ * @method integer
+ * @param  {Mixed} value
+ * @return {Mixed}
+ * @public
+ */
+Casts.integer = Casts.numeric;
+
+/**
+ * @description casts `0`, `1`, `'0'`, `'1'`, `'true'`
+ * and `'false'` to booleans
+ * @method boolean
+ * @param  {Mixed} value
+ * @return {Mixed}
+ * @public
+ */
+Casts.boolean = function (value) {
+  if (value === 1 || value === '1' || value === 'true') {
+    return true;
+  }
+  if (value === 0 || value === '0' || value === 'false') {
+    return false;
+  }
+  return value;
+};
+
+/**
+ * @description casts date strings to date instances
+ * @method date
+ * @param  {Mixed} value
+ * @return {Mixed}
+ * @public
+ */
+Casts.date = function (value) {
+  if (value instanceof Date) {
+    return value;
+  }
+  const date = moment(value, moment.ISO_8601);
+  return date.isValid() ? date.toDate() : value;
+};
+
+/**
+ * @description casts date strings of a given format to
+ * date instances
+ * @method dateFormat
+ * @param  {Mixed} value
+ * @param  {Array} args
+ * @return {Mixed}
+ * @public
+ */
+Casts.dateFormat = function (value, args) {
+  if (value instanceof Date) {
+    return value;
+  }
+  const date = moment(value, args[0], true);
+  return date.isValid() ? date.toDate() : value;
+};
+
+/**
+ * @description parses json strings
+ * @method json
+ * @param  {Mixed} value
+ * @return {Mixed}
+ * @public
+ */
+Casts.json = function (value) {
+  return typeof (value) === 'string' && Raw.json(value) ? JSON.parse(value) : value;
+};
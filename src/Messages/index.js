@@ -3,8 +3,19 @@
 const pope = require('pope');
 const _ = require('lodash');
 
-const messagesStore = {};
-const arrayExpressionRegex = /\.\d/g;
+const arrayExpressionRegex = /(^|\.)\d+(?=\.|$)/g;
+
+/**
+ * default messages of rules, used when no custom message
+ * is defined. Every store starts with these messages.
+ *
+ * @type {Object}
+ */
+const defaultMessages = {
+  digits: '{{field}} must have {{argument.0}} digits',
+  digits_between: '{{field}} must have between {{argument.0}} and {{argument.1}} digits',
+  multiple_of: '{{field}} must be a multiple of {{argument.0}}'
+};
 
 /**
  * returns the default message for a validation.
@@ -12,12 +23,13 @@ const arrayExpressionRegex = /\.\d/g;
  * @param   {Object} messages
  * @param   {String} field
  * @param   {String} validation
+ * @param   {Object} messagesStore
  *
  * @return  {String}
  *
  * @private
  */
-function _returnDefaultMessage (messages, field, validation) {
+function _returnDefaultMessage (messages, field, validation, messagesStore) {
   return messagesStore[validation] || '{{validation}} validation failed on {{field}}';
 }
 
@@ -49,8 +61,51 @@ function _returnValidationMessage (messages, field, validation) {
  * @private
  */
 function _returnFieldValidationMessage (messages, field, validation) {
-  const fieldToArrayExpression = field.replace(arrayExpressionRegex, '.*');
-  return messages[`${field}.${validation}`] || messages[`${fieldToArrayExpression}.${validation}`];
+  const fieldToArrayExpression = field.replace(arrayExpressionRegex, '$1*');
+  return messages[`${field}.${validation}`] ||
+  messages[`${fieldToArrayExpression}.${validation}`] ||
+  _returnWildcardKeyMessage(messages, `${field}.${validation}`);
+}
+
+/**
+ * returns a custom message defined on an array expression
+ * matching the given key, where `*` can stand for an
+ * array index or an object key.
+ *
+ * @param   {Object} messages
+ * @param   {String} key
+ *
+ * @return  {String|Function}
+ *
+ * @private
+ */
+function _returnWildcardKeyMessage (messages, key) {
+  const segments = key.split('.');
+  const messageKey = _.findKey(messages, (message, messageKey) => {
+    const messageSegments = messageKey.split('.');
+    return messageSegments.length === segments.length &&
+    messageSegments.indexOf('*') > -1 &&
+    _.every(messageSegments, (segment, index) => segment === '*' || segment === segments[index]);
+  });
+  return messageKey ? messages[messageKey] : undefined;
+}
+
+/**
+ * returns the message defined next to a rule inside
+ * the schema.
+ *
+ * @param   {Object} messages
+ * @param   {String} field
+ * @param   {String} validation
+ * @param   {Object} messagesStore
+ * @param   {String|Function} [ruleMessage]
+ *
+ * @return  {String|Function}
+ *
+ * @private
+ */
+function _returnRuleMessage (messages, field, validation, messagesStore, ruleMessage) {
+  return ruleMessage;
 }
 
 /**
@@ -77,38 +132,62 @@ function _makePopeMessage (message) {
  */
 const validationMethods = [
   _returnFieldValidationMessage,
+  _returnRuleMessage,
   _returnValidationMessage,
   _returnDefaultMessage
 ];
 
-let Messages = module.exports = {};
-
 /**
- * making a message for a given field and validation.
+ * creates a new messages store, every validator instance
+ * holds its own store so that messages set on one
+ * instance are not visible to the others.
  *
- * @param  {Object} customMessages
- * @param  {String} field
- * @param  {String} validation
- * @param  {Array} args
+ * @param  {Object} [messages]
  *
- * @return {String}
+ * @return {Object}
  */
-Messages.make = function (customMessages, field, validation, args) {
-  return _(validationMethods)
-  .chain()
-  .find((method) => method(customMessages, field, validation))
-  .thru((method) => method(customMessages, field, validation))
-  .thru((message) => _makePopeMessage(message)(field, validation, args))
-  .value();
+const createMessages = function (messages) {
+  const messagesStore = _.extend({}, defaultMessages, messages);
+
+  const Messages = {};
+
+  /**
+   * making a message for a given field and validation.
+   *
+   * @param  {Object} customMessages
+   * @param  {String} field
+   * @param  {String} validation
+   * @param  {Array} args
+   * @param  {String|Function} [ruleMessage] message defined next to the rule
+   *
+   * @return {String}
+   */
+  Messages.make = function (customMessages, field, validation, args, ruleMessage) {
+    return _(validationMethods)
+    .chain()
+    .find((method) => method(customMessages, field, validation, messagesStore, ruleMessage))
+    .thru((method) => method(customMessages, field, validation, messagesStore, ruleMessage))
+    .thru((message) => _makePopeMessage(message)(field, validation, args))
+    .value();
+  };
+
+  /**
+   * @description sets a message for a given rule
+   * @method set
+   * @param  {String} name
+   * @param  {String|Function} message
+   * @public
+   */
+  Messages.set = function (name, message) {
+    messagesStore[name] = message;
+  };
+
+  return Messages;
 };
 
+const Messages = module.exports = createMessages();
+
 /**
- * @description sets a message for a given rule
- * @method set
- * @param  {String} name
- * @param  {String|Function} message
- * @public
+ * @see createMessages
  */
-Messages.set = function (name, message) {
-  messagesStore[name] = message;
-};
+Messages.create = createMessages;
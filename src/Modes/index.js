@@ -1,18 +1,43 @@
 'use strict';
 
 const availableModes = ['normal', 'strict'];
-let currentMode = 'normal';
 
-const Modes = module.exports = {};
+/**
+ * creates a new modes store, every validator instance
+ * holds its own store so that switching the mode on
+ * one instance does not affect the others.
+ *
+ * @param  {String} [mode]
+ *
+ * @return {Object}
+ */
+const createModes = function (mode) {
+  let currentMode = 'normal';
 
-Modes.set = function (mode) {
-  if (availableModes.indexOf(mode) <= -1) {
-    console.log(`indicative: ${mode} is not a valid mode, switching back to normal mode`);
-    return;
+  const Modes = {};
+
+  Modes.set = function (mode) {
+    if (availableModes.indexOf(mode) <= -1) {
+      console.log(`indicative: ${mode} is not a valid mode, switching back to normal mode`);
+      return;
+    }
+    currentMode = mode;
+  };
+
+  Modes.get = function () {
+    return currentMode;
+  };
+
+  if (mode) {
+    Modes.set(mode);
   }
-  currentMode = mode;
-};
 
-Modes.get = function () {
-  return currentMode;
+  return Modes;
 };
+
+const Modes = module.exports = createModes();
+
+/**
+ * @see createModes
+ */
+Modes.create = createModes;
@@ -1,29 +1,264 @@
 'use strict';
 
-const arrayExpressionRegex = /(\w[^\.\*]+)(\.\*\.?)(.+)?/;
-const splitArgsRegex = /^([^:]+)[:](.+)$/;
-
 const _ = require('lodash');
+const Raw = require('../Raw');
+
+/**
+ * characters which lose their special meaning inside a
+ * rule string when prefixed with a backslash.
+ *
+ * @type {Array}
+ *
+ * @private
+ */
+const escapableCharacters = ['|', ',', '"', '\\'];
 
 let Parser = module.exports = {};
 
+/**
+ * holds the rules of a conditional group, created using
+ * `Parser.when`. Once flattened, the rules of both
+ * branches use dotted field names from the root.
+ *
+ * @param {Function|Array} condition
+ * @param {Mixed} rulesIfTrue
+ * @param {Mixed} rulesIfFalse
+ * @param {Boolean} flattened
+ *
+ * @private
+ */
+const RuleCondition = function (condition, rulesIfTrue, rulesIfFalse, flattened) {
+  this.condition = condition;
+  this.rulesIfTrue = rulesIfTrue;
+  this.rulesIfFalse = rulesIfFalse;
+  this.flattened = flattened;
+};
+
+/**
+ * reads a double quoted argument starting at the given
+ * position. Inside quotes only `\"` and `\\` are
+ * treated as escapes.
+ *
+ * @param   {String} input
+ * @param   {Number} start
+ *
+ * @return  {Object} value and position right after the closing quote
+ *
+ * @throws  {Error} If the quote is never closed
+ *
+ * @private
+ */
+const _readQuotedArgument = function (input, start) {
+  let value = '';
+  let index = start + 1;
+
+  while (index < input.length) {
+    const char = input[index];
+    if (char === '\\' && (input[index + 1] === '"' || input[index + 1] === '\\')) {
+      value += input[index + 1];
+      index += 2;
+      continue;
+    }
+    if (char === '"') {
+      return {value, index: index + 1};
+    }
+    value += char;
+    index++;
+  }
+
+  throw new Error(`Unterminated quoted argument in rule "${input}" at position ${start}`);
+};
+
+/**
+ * parses a rule string into validation objects. Rules are
+ * separated by `|`, the name is separated from args by
+ * the first `:` and args are separated by `,`. Args can
+ * be wrapped inside double quotes and special characters
+ * can be escaped using a backslash.
+ *
+ * @param   {String} input
+ * @param   {Boolean} splitRules whether `|` separates rules
+ *
+ * @return  {Array}
+ *
+ * @throws  {Error} If the rule string is malformed
+ *
+ * @example
+ *   in:"a,b",c|regex:"^(a|b)$"
+ *   in:foo\,bar
+ *
+ * @private
+ */
+const _parseRuleString = function (input, splitRules) {
+  const validations = [];
+  let name = '';
+  let args = [];
+  let arg = '';
+  let readingArgs = false;
+  let argStarted = false;
+  let index = 0;
+
+  const pushArg = function () {
+    args.push(arg);
+    arg = '';
+    argStarted = false;
+  };
+
+  const pushValidation = function () {
+    if (readingArgs) {
+      pushArg();
+    }
+    validations.push({name, args});
+    name = '';
+    args = [];
+    readingArgs = false;
+  };
+
+  while (index < input.length) {
+    const char = input[index];
+
+    if (char === '\\' && escapableCharacters.indexOf(input[index + 1]) > -1) {
+      if (readingArgs) {
+        arg += input[index + 1];
+        argStarted = true;
+      } else {
+        name += input[index + 1];
+      }
+      index += 2;
+      continue;
+    }
+
+    if (splitRules && char === '|') {
+      pushValidation();
+      index++;
+      continue;
+    }
+
+    if (!readingArgs) {
+      if (char === ':') {
+        readingArgs = true;
+      } else {
+        name += char;
+      }
+      index++;
+      continue;
+    }
+
+    if (char === ',') {
+      pushArg();
+      index++;
+      continue;
+    }
+
+    if (char === '"' && !argStarted) {
+      const quoted = _readQuotedArgument(input, index);
+      const next = input[quoted.index];
+      if (quoted.index < input.length && next !== ',' && !(splitRules && next === '|')) {
+        throw new Error(`Unexpected character "${next}" after quoted argument in rule "${input}" at position ${quoted.index}`);
+      }
+      arg = quoted.value;
+      argStarted = true;
+      index = quoted.index;
+      continue;
+    }
+
+    arg += char;
+    argStarted = true;
+    index++;
+  }
+
+  pushValidation();
+  return validations;
+};
+
+/**
+ * keys a structured rule object can have.
+ *
+ * @type {Array}
+ */
+const ruleObjectKeys = ['rule', 'args', 'message', 'name'];
+
+/**
+ * tells whether a value is a structured rule object
+ * like `{rule: 'in', args: ['a', 'b']}`. Objects having
+ * other keys are nested schemas, even with a `rule` key,
+ * so that data having a `rule` field can be validated.
+ *
+ * @param   {Mixed} validation
+ *
+ * @return  {Boolean}
+ *
+ * @private
+ */
+const _isRuleObject = function (validation) {
+  return _.isPlainObject(validation) && _.has(validation, 'rule') &&
+  _.every(_.keys(validation), (key) => ruleObjectKeys.indexOf(key) > -1);
+};
+
+/**
+ * converts a function defined inside the schema to a
+ * validation object. Named functions are reported with
+ * the snake case version of their name.
+ *
+ * @param   {Function} rule
+ * @param   {String} [name]
+ *
+ * @return  {Object}
+ *
+ * @private
+ */
+const _parseInlineRule = function (rule, name) {
+  name = name || rule.name;
+  return {name: name ? _.snakeCase(name) : 'inline', args: [], inline: rule};
+};
+
+/**
+ * converts a structured rule object to a validation
+ * object. Args are used as they are, so they can
+ * hold any value.
+ *
+ * @param   {Object} validation
+ *
+ * @return  {Object}
+ *
+ * @throws  {Error} If rule is not a string
+ *
+ * @private
+ */
+const _parseRuleObject = function (validation) {
+  if (typeof (validation.rule) === 'function') {
+    /**
+     * anonymous functions defined on the rule key are
+     * named `rule` by the runtime.
+     */
+    const name = validation.name || (validation.rule.name === 'rule' ? 'inline' : validation.rule.name);
+    return _.extend(_parseInlineRule(validation.rule, name), _.pick(validation, 'message'));
+  }
+  if (typeof (validation.rule) !== 'string') {
+    throw new Error('Invalid rule object, expects rule to be a string or a function');
+  }
+  const args = _.isUndefined(validation.args) ? [] : _.castArray(validation.args);
+  return _.extend({name: validation.rule, args}, _.pick(validation, 'message'));
+};
+
 /**
  * parse a validation validation string to fetch
  * args from it.
  *
- * @param   {String} validation
+ * @param   {String|Object|Function} validation
  *
  * @return  {Object}
  *
  * @private
  */
 const _parseValidation = function (validation) {
-  const value = splitArgsRegex.exec(validation);
-  if (_.size(value) < 2) {
-    return {name: validation, args: []};
+  if (typeof (validation) === 'function') {
+    return _parseInlineRule(validation);
   }
-
-  return {name: value[1], args: value[2].split(',')};
+  if (_isRuleObject(validation)) {
+    return _parseRuleObject(validation);
+  }
+  return _parseRuleString(validation, false)[0];
 };
 
 /**
@@ -44,29 +279,80 @@ const _parseValidations = function (validations) {
 /**
  * parse a given set of validations to a consumable array.
  *
- * @param  {String|Array} rule
+ * @param  {String|Array|Object|Function} rule
  *
  * @return {Array}
+ *
+ * @throws {Error} If a rule string is malformed
+ *
+ * @example
+ *   parse('required|in:a,b')
+ *   parse(['required', {rule: 'regex', args: [/^a+$/i]}])
+ *   parse({rule: 'after', args: [new Date()]})
+ *   parse(['required', (value) => value !== 'admin'])
  */
 Parser.parse = function (validations) {
-  const validationsArray = validations instanceof Array ? validations : validations.split('|');
-  return _parseValidations(validationsArray);
+  if (validations instanceof Array) {
+    return _parseValidations(validations);
+  }
+  if (typeof (validations) === 'function' || _isRuleObject(validations)) {
+    return [_parseValidation(validations)];
+  }
+  return _parseRuleString(validations, true);
 };
 
 /**
- * parses an array expression to a consumable object
+ * walks the data for the remaining segments of a field
+ * expression and returns the concrete paths for every
+ * node matched by a `*` segment.
+ *
+ * @param   {Mixed} value
+ * @param   {Array} segments
+ * @param   {Array} path
  *
+ * @return  {Array}
+ *
+ * @private
+ */
+const _expandSegments = function (value, segments, path) {
+  const wildcardIndex = segments.indexOf('*');
+  if (wildcardIndex === -1) {
+    return [path.concat(segments).join('.')];
+  }
+
+  const head = segments.slice(0, wildcardIndex);
+  const node = head.length ? _.get(value, head) : value;
+  if (!_.isObjectLike(node)) {
+    return [];
+  }
+
+  const tail = segments.slice(wildcardIndex + 1);
+  return _.flatMap(_.keys(node), (key) => _expandSegments(node[key], tail, path.concat(head, key)));
+};
+
+/**
+ * returns all concrete field paths a field expression
+ * resolves to for a given data object. Every `*`
+ * segment matches the indexes of an array or the
+ * keys of an object at that position, at any depth.
+ *
+ * @param  {Object} data
  * @param  {String} field
- * @return {Object|Null}
+ *
+ * @return {Array}
+ *
+ * @example
+ *   expandField({users: [{}, {}]}, 'users.*.email')
+ *   // ['users.0.email', 'users.1.email']
  *
  * @public
  */
-Parser.expressionCurryFor = function (field, whenMatched, otherwise) {
-  const expression = field.match(arrayExpressionRegex);
-  if (_.size(expression) < 4) {
-    return otherwise();
+Parser.expandField = function (data, field) {
+  const segments = field.split('.');
+  if (segments.indexOf('*') === -1) {
+    return [field];
   }
-  return whenMatched(expression[1], expression[3]);
+  return _expandSegments(data, segments, []);
 };
 
 /**
@@ -85,42 +371,228 @@ Parser.parseFieldRule = function (rule, field) {
 };
 
 /**
- * parses field rules for a array expressions
+ * transforms a single rule or an array expression
+ * into multiple rules
  *
  * @param   {Object} data
  * @param   {String} rule
- * @param   {String} node
- * @param   {String} [child]
+ * @param   {String} field
  *
  * @return  {Object}
  *
  * @private
  */
-Parser.getRulesForExpression = function (data, rule, node, child) {
-  return _.fromPairs(_.map(data[node], (value, index) => {
-    const fieldName = _([node, index, child]).takeWhile((value) => value !== undefined).join('.');
+Parser.transformRule = function (data, rule, field) {
+  return _.fromPairs(_.map(Parser.expandField(data, field), (fieldName) => {
     return [fieldName, Parser.parse(rule)];
   }));
 };
 
 /**
- * transforms a single rule or an array expression
- * into multiple rules
+ * tells whether a rule is a nested schema, which is any
+ * plain object not being a rule object.
  *
- * @param   {Object} data
- * @param   {String} rule
+ * @param   {Mixed} rule
+ *
+ * @return  {Boolean}
+ *
+ * @private
+ */
+const _isNestedSchema = function (rule) {
+  return _.isPlainObject(rule) && !_isRuleObject(rule);
+};
+
+/**
+ * tells whether an array holds the rules of every element
+ * of an array, instead of a list of rules. Only arrays
+ * with a single nested schema or a single array qualify,
+ * so that lists of rules keep validating the field itself.
+ *
+ * @param   {Mixed} rule
+ *
+ * @return  {Boolean}
+ *
+ * @example
+ *   [{sku: 'required'}]
+ *   [['string', 'max:20']]
+ *
+ * @private
+ */
+const _isElementRules = function (rule) {
+  return rule instanceof Array && rule.length === 1 && (rule[0] instanceof Array || _isNestedSchema(rule[0]));
+};
+
+/**
+ * flattens a nested schema into the result using
+ * dotted field names.
+ *
+ * @param   {Object} rules
+ * @param   {String} prefix
+ * @param   {Object} result
+ *
+ * @return  {Object}
+ *
+ * @throws  {Error} If a field is defined more than once
+ *
+ * @private
+ */
+const _flattenRules = function (rules, prefix, result) {
+  _.each(rules, (rule, key) => {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (Parser.isCondition(rule) && !rule.flattened) {
+      rule = _flattenCondition(rule, field);
+    }
+    if (_isNestedSchema(rule)) {
+      _flattenRules(rule, field, result);
+      return;
+    }
+    if (_isElementRules(rule)) {
+      _flattenRules({'*': rule[0]}, field, result);
+      return;
+    }
+    if (_.has(result, [field])) {
+      throw new Error(`Rules for ${field} are defined more than once`);
+    }
+    result[field] = rule;
+  });
+  return result;
+};
+
+/**
+ * flattens the rules of both branches of a conditional
+ * group defined on a given field.
+ *
+ * @param   {Object} rule
  * @param   {String} field
  *
  * @return  {Object}
  *
  * @private
  */
-Parser.transformRule = function (data, rule, field) {
-  return Parser.expressionCurryFor(
-    field,
-    (dataKey, fieldKey) => Parser.getRulesForExpression(data, rule, dataKey, fieldKey),
-    () => Parser.parseFieldRule(rule, field)
-  );
+const _flattenCondition = function (rule, field) {
+  const flattenBranch = (rules) => _.isNil(rules) ? {} : _flattenRules({[field]: rules}, '', {});
+  return new RuleCondition(rule.condition, flattenBranch(rule.rulesIfTrue), flattenBranch(rule.rulesIfFalse), true);
+};
+
+/**
+ * converts nested schema objects and arrays holding the
+ * rules of their elements to dotted field names and
+ * array expressions.
+ *
+ * @param  {Object} rules
+ *
+ * @return {Object}
+ *
+ * @throws {Error} If a field is defined more than once
+ *
+ * @example
+ *   flattenRules({profile: {address: {city: 'required'}}, tags: [['string', 'max:20']]})
+ *   // {'profile.address.city': 'required', 'tags.*': ['string', 'max:20']}
+ */
+Parser.flattenRules = function (rules) {
+  return _flattenRules(rules, '', {});
+};
+
+/**
+ * defines a group of rules depending on the data. The
+ * condition is either a `[field, value]` pair, matching
+ * when the field equals the value compared as strings,
+ * or a function receiving the data. Rules of the group
+ * are relative to the field the group is defined on.
+ *
+ * @param  {Function|Array} condition
+ * @param  {Mixed} rulesIfTrue
+ * @param  {Mixed} [rulesIfFalse]
+ *
+ * @return {Object}
+ *
+ * @throws {Error} If condition is not a function or a pair, or
+ * the field of the pair is an array expression
+ *
+ * @example
+ *   {
+ *     card: when(['payment_method', 'card'], {number: 'required', cvv: 'required'}),
+ *     coupon: when((data) => data.total > 100, 'required|alpha', 'alpha')
+ *   }
+ */
+Parser.when = function (condition, rulesIfTrue, rulesIfFalse) {
+  if (typeof (condition) !== 'function' && !(condition instanceof Array && condition.length === 2)) {
+    throw new Error('Invalid condition, expects a function or a [field, value] pair');
+  }
+  if (typeof (condition) !== 'function' && _.includes(_.toPath(condition[0]), '*')) {
+    throw new Error(`Invalid condition field ${condition[0]}, use a function to match elements of arrays`);
+  }
+  return new RuleCondition(condition, rulesIfTrue, rulesIfFalse, false);
+};
+
+/**
+ * tells whether a rule is a conditional group.
+ *
+ * @param  {Mixed} rule
+ *
+ * @return {Boolean}
+ */
+Parser.isCondition = function (rule) {
+  return rule instanceof RuleCondition;
+};
+
+/**
+ * tells whether the condition of a conditional group
+ * matches the data.
+ *
+ * @param  {Object} rule conditional group
+ * @param  {Object} data
+ *
+ * @return {Boolean}
+ */
+Parser.matchesCondition = function (rule, data) {
+  const condition = rule.condition;
+  return typeof (condition) === 'function' ? !!condition(data) : Raw.looselySame(_.get(data, condition[0]), condition[1]);
+};
+
+/**
+ * returns a new flattened conditional group with both
+ * branches transformed by a given method.
+ *
+ * @param  {Object} rule flattened conditional group
+ * @param  {Function} transform
+ *
+ * @return {Object}
+ */
+Parser.mapCondition = function (rule, transform) {
+  return new RuleCondition(rule.condition, transform(rule.rulesIfTrue), transform(rule.rulesIfFalse), true);
+};
+
+/**
+ * parses all rules of a schema without looking at the
+ * data, array expressions are kept as they are. Nested
+ * schemas are flattened first.
+ *
+ * @param   {Object} rules
+ *
+ * @return  {Object}
+ */
+Parser.parseRules = function (rules) {
+  return _.mapValues(Parser.flattenRules(rules), (rule) => Parser.parse(rule));
+};
+
+/**
+ * expands array expressions of already parsed rules into
+ * one entry for every matching node inside the data.
+ * Parsed validations are shared between the expanded
+ * fields and never re-parsed.
+ *
+ * @param   {Object} data
+ * @param   {Object} parsedRules
+ *
+ * @return  {Object}
+ */
+Parser.expandRules = function (data, parsedRules) {
+  return _.transform(parsedRules, (result, validations, field) => {
+    _.each(Parser.expandField(data, field), (fieldName) => {
+      result[fieldName] = validations;
+    });
+  }, {});
 };
 
 /**
@@ -135,9 +607,5 @@ Parser.transformRule = function (data, rule, field) {
  * @private
  */
 Parser.transformRules = function (data, rules) {
-  return _(rules)
-    .transform((result, rule, field) => {
-      _.extend(result, Parser.transformRule(data, rule, field));
-    })
-    .value();
+  return Parser.expandRules(data, Parser.parseRules(rules));
 };
@@ -12,10 +12,71 @@ const phoneRegex = /\b\d{3}[-.]?\d{3}[-.]?\d{4}\b/;
 const creditCardRegex = /^(?:4[0-9]{12}(?:[0-9]{3})?|5[1-5][0-9]{14}|3[47][0-9]{13}|3(?:0[0-5]|[68][0-9])[0-9]{11}|6(?:011|5[0-9]{2})[0-9]{12}|(?:2131|1800|35\d{3})\d{11})$/;
 const alphaNumericRegex = /^[a-z0-9]+$/i;
 const alphaRegex = /^[a-z]+$/i;
+const digitsRegex = /^\d+$/;
 const ipv4Regex = /^(?:25[0-5]|2[0-4][0-9]|1[0-9][0-9]|[1-9][0-9]|[0-9])(?:\.(?:25[0-5]|2[0-4][0-9]|1[0-9][0-9]|[1-9][0-9]|[0-9])){3}$/;
 const ipv6Regex = /^(?:(?:[0-9a-fA-F:]){1,4}(?:(?::(?:[0-9a-fA-F]){1,4}|:)){2,7})+$/;
 const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-4][0-9a-f]{3}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
+/**
+ * keywords accepted in place of a date by date comparisons,
+ * resolved at the time of validation.
+ */
+const dateKeywords = {
+  now: () => moment(),
+  today: () => moment().startOf('day'),
+  tomorrow: () => moment().add(1, 'days').startOf('day'),
+  yesterday: () => moment().subtract(1, 'days').startOf('day')
+};
+
+/**
+ * units accepted by offset date comparisons, in the singular
+ * form returned by moment.normalizeUnits.
+ */
+const offsetUnits = ['year', 'month', 'week', 'day', 'hour', 'minute'];
+
+/**
+ * @description resolves date keywords like `today` or `now`
+ * to moment instances, other values are returned as they are.
+ * @method toDate
+ * @param  {Mixed} date
+ * @return {Mixed}
+ * @private
+ */
+const toDate = function (date) {
+  return typeof (date) === 'string' && dateKeywords[date] ? dateKeywords[date]() : date;
+};
+
+/**
+ * @description returns the current date moved by the given
+ * offset. Units can be singular or plural, like `year` or `months`.
+ * @method offsetDate
+ * @param  {Number|String} number
+ * @param  {String} unit
+ * @return {Object}
+ * @throws {Error} If offset or unit are not valid
+ * @private
+ */
+const offsetDate = function (number, unit) {
+  Raw.checkOffset(number, unit);
+  return moment().add(Number(number), moment.normalizeUnits(unit));
+};
+
+/**
+ * @description returns the number of decimal places of a
+ * number, including the ones hidden by the exponent notation
+ * like `1e-7`.
+ * @method decimalPlaces
+ * @param  {Number} number
+ * @return {Number}
+ * @private
+ */
+const decimalPlaces = function (number) {
+  const match = String(number).match(/(?:\.(\d+))?(?:e([+-]?\d+))?$/i);
+  const fraction = match[1] ? match[1].length : 0;
+  const exponent = match[2] ? Number(match[2]) : 0;
+  return Math.max(0, fraction - exponent);
+};
+
 let Raw = module.exports = {};
 
 /**
@@ -354,6 +415,18 @@ Raw.alpha = function (input) {
   return Raw.regex(input, alphaRegex);
 };
 
+/**
+ * @description makes sure given field contains
+ * digits only
+ * @method digits
+ * @param  {String|Number} input
+ * @return {Boolean}
+ * @public
+ */
+Raw.digits = function (input) {
+  return Raw.regex(input, digitsRegex);
+};
+
 /**
  * @description tells whether input is a valid alpha numeric
  * string or not
@@ -433,6 +506,25 @@ Raw.same = function (input, comparsionInput) {
   return input === comparsionInput;
 };
 
+/**
+ * @description tells whether 2 values are identically same,
+ * or the same once converted to strings. Useful to compare
+ * values with arguments of rule strings, which are always
+ * strings. Null and undefined only match themselves.
+ * @method looselySame
+ * @param  {Mixed} input
+ * @param  {Mixed} comparsionInput
+ * @return {Boolean}
+ * @example
+ *   looselySame(1, '1') // true
+ *   looselySame(null, 'null') // false
+ * @public
+ */
+Raw.looselySame = function (input, comparsionInput) {
+  return input === comparsionInput ||
+  (!_.isNil(input) && !_.isNil(comparsionInput) && String(input) === String(comparsionInput));
+};
+
 /**
  * @description tells whether input is a even number or
  * not
@@ -520,6 +612,25 @@ Raw.between = function (input, min, max) {
   return (input > Number(min)) && (input < Number(max));
 };
 
+/**
+ * @description tells whether input is a multiple of a given
+ * number. Both numbers are scaled to integers before
+ * comparing, so that decimals like `0.3` and `0.1` are
+ * not affected by floating point errors.
+ * @method multipleOf
+ * @param  {Number} input
+ * @param  {Number} divisor
+ * @return {Boolean}
+ * @public
+ */
+Raw.multipleOf = function (input, divisor) {
+  if (!Raw.numeric(input) || !Raw.numeric(divisor) || Number(divisor) === 0) {
+    return false;
+  }
+  const scale = Math.pow(10, Math.max(decimalPlaces(Number(input)), decimalPlaces(Number(divisor))));
+  return Math.round(Number(input) * scale) % Math.round(Number(divisor) * scale) === 0;
+};
+
 /**
  * @description tells whether a value lies in an array or
  * not
@@ -656,7 +767,7 @@ Raw.future = function (input) {
  * @public
  */
 Raw.after = function (input, afterDate) {
-  return moment(input).isAfter(afterDate);
+  return moment(input).isAfter(toDate(afterDate));
 };
 
 /**
@@ -672,7 +783,7 @@ Raw.after = function (input, afterDate) {
  * @public
  */
 Raw.before = function (input, beforeDate) {
-  return moment(input).isBefore(beforeDate);
+  return moment(input).isBefore(toDate(beforeDate));
 };
 
 /**
@@ -688,7 +799,66 @@ Raw.before = function (input, beforeDate) {
  * @public
  */
 Raw.sameDate = function (input, sameDate) {
-  return moment(input).isSame(sameDate);
+  return moment(input).isSame(toDate(sameDate));
+};
+
+/**
+ * @description makes sure a date offset is valid, the offset
+ * must be a number and the unit one of `years`, `months`,
+ * `weeks`, `days`, `hours` or `minutes`, singular or plural.
+ * @method checkOffset
+ * @param  {Number|String} number
+ * @param  {String} unit
+ * @return {void}
+ * @throws {Error} If offset or unit are not valid
+ * @example
+ *   checkOffset(4, 'months')
+ * @public
+ */
+Raw.checkOffset = function (number, unit) {
+  if (typeof (number) === 'boolean' || !Number.isFinite(Number(number))) {
+    throw new Error(`Invalid date offset ${number}, offset must be a number`);
+  }
+  const normalizedUnit = typeof (unit) === 'string' ? moment.normalizeUnits(unit) : undefined;
+  if (offsetUnits.indexOf(normalizedUnit) === -1) {
+    throw new Error(`Invalid date offset unit ${unit}, expected one of ${offsetUnits.join(', ')}`);
+  }
+};
+
+/**
+ * @description tells whether input is after the current date
+ * moved by a given offset
+ * @method afterOffsetOf
+ * @param  {String|Object} input
+ * @param  {Number|String} number
+ * @param  {String} unit
+ * @return {Boolean}
+ * @example
+ *   accepts
+ *   (2030-11-30, 12, 'months')
+ *   (new Date(), -1, 'day')
+ * @public
+ */
+Raw.afterOffsetOf = function (input, number, unit) {
+  return moment(input).isAfter(offsetDate(number, unit));
+};
+
+/**
+ * @description tells whether input is before the current date
+ * moved by a given offset
+ * @method beforeOffsetOf
+ * @param  {String|Object} input
+ * @param  {Number|String} number
+ * @param  {String} unit
+ * @return {Boolean}
+ * @example
+ *   accepts
+ *   (2015-11-30, 1, 'year')
+ *   (new Date(), 2, 'hours')
+ * @public
+ */
+Raw.beforeOffsetOf = function (input, number, unit) {
+  return moment(input).isBefore(offsetDate(number, unit));
 };
 
 /**
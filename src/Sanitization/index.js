@@ -1,14 +1,23 @@
 'use strict';
 
-let Sanitization = module.exports = {};
-
 const _ = require('lodash');
 const Parser = require('../Parser');
 const filters = require('./filters');
 
+/**
+ * pristine copy of the filters, taken before anyone extends
+ * them. Isolated sanitizors start from this copy.
+ *
+ * @type {Object}
+ *
+ * @private
+ */
+const builtInFilters = _.clone(filters);
+
 /**
  * returns sanitization method for a filter name
  *
+ * @param   {Object} filtersStore
  * @param   {String} filter
  *
  * @return  {Function}        [description]
@@ -17,8 +26,8 @@ const filters = require('./filters');
  *
  * @private
  */
-function _getSanitizationMethod(filter) {
-  return _.get(filters, _.camelCase(filter), function () {
+function _getSanitizationMethod(filtersStore, filter) {
+  return _.get(filtersStore, _.camelCase(filter), function () {
     throw new Error(`${filter} is not defined as a filter`);
   });
 }
@@ -27,6 +36,7 @@ function _getSanitizationMethod(filter) {
  * sanitizes a given field value by looping over
  * all the rules defined next to the field.
  *
+ * @param   {Object} filtersStore
  * @param   {Object} data
  * @param   {Array} rules
  * @param   {String} field
@@ -35,62 +45,95 @@ function _getSanitizationMethod(filter) {
  *
  * @private
  */
-function _sanitizeFieldValue(data, rules, field) {
+function _sanitizeFieldValue(filtersStore, data, rules, field) {
   return _.reduce(rules, (value, rule) => {
-    const ruleMethod = _getSanitizationMethod(rule.name);
+    const ruleMethod = _getSanitizationMethod(filtersStore, rule.name);
     return ruleMethod(value, rule.args);
   }, _.get(data, field));
 }
 
 /**
- * sanitizes a given set of data with given set
- * of rules.
+ * creates a sanitization interface working on top of the
+ * given filters store.
  *
- * @param  {Object} data
- * @param  {Object} rules
+ * @param  {Object} filtersStore
  *
  * @return {Object}
- */
-Sanitization.sanitize = function (data, rules) {
-  const clonedSet = _.cloneDeep(data);
-  const transformedRules = Parser.transformRules(data, rules);
-  return _.reduce(transformedRules, (result, rules, field) => {
-    _.set(result, field, _sanitizeFieldValue(data, rules, field));
-    return result;
-  }, clonedSet);
-};
-
-/**
- * sanitizes all a given set of data with given a rule.
  *
- * @param  {Object} data
- * @param  {String} rule
- *
- * @return {Object}
+ * @private
  */
-Sanitization.sanitizeAll = function (data, rule) {
-  const newRules = {};
-  _.each(data, (result, field) => {
-    _.set(newRules, field, rule);
-  });
-  return Sanitization.sanitize(data, newRules);
+const createSanitization = function (filtersStore) {
+  const Sanitization = {};
+
+  /**
+   * sanitizes a given set of data with given set
+   * of rules.
+   *
+   * @param  {Object} data
+   * @param  {Object} rules
+   *
+   * @return {Object}
+   */
+  Sanitization.sanitize = function (data, rules) {
+    const clonedSet = _.cloneDeep(data);
+    const transformedRules = Parser.transformRules(data, rules);
+    return _.reduce(transformedRules, (result, rules, field) => {
+      _.set(result, field, _sanitizeFieldValue(filtersStore, data, rules, field));
+      return result;
+    }, clonedSet);
+  };
+
+  /**
+   * sanitizes all a given set of data with given a rule.
+   *
+   * @param  {Object} data
+   * @param  {String} rule
+   *
+   * @return {Object}
+   */
+  Sanitization.sanitizeAll = function (data, rule) {
+    const newRules = {};
+    _.each(data, (result, field) => {
+      _.set(newRules, field, rule);
+    });
+    return Sanitization.sanitize(data, newRules);
+  };
+
+  Sanitization.sanitizor = filtersStore;
+
+  /**
+   * exposes an interface to extend filters
+   *
+   * @param  {String} name
+   * @param  {Function} method
+   *
+   * @return {void}
+   *
+   * @throws {Error} If method is not a function
+   */
+  Sanitization.sanitizor.extend = function (name, method) {
+    if (typeof (method) !== 'function') {
+      throw new Error('Invalid arguments, sanitizor.extend expects 2nd parameter to be a function');
+    }
+    Sanitization.sanitizor[name] = method;
+  };
+
+  return Sanitization;
 };
 
-Sanitization.sanitizor = filters;
+const Sanitization = module.exports = createSanitization(filters);
 
 /**
- * exposes an interface to extend filters
+ * creates a new sanitization interface with its own filters
+ * store. Filters registered on it are not visible to any
+ * other sanitizor.
  *
- * @param  {String} name
- * @param  {Function} method
+ * @param  {Object} [customFilters]
  *
- * @return {void}
- *
- * @throws {Error} If method is not a function
+ * @return {Object}
  */
-Sanitization.sanitizor.extend = function (name, method) {
-  if (typeof (method) !== 'function') {
-    throw new Error('Invalid arguments, sanitizor.extend expects 2nd parameter to be a function');
-  }
-  Sanitization.sanitizor[name] = method;
+Sanitization.create = function (customFilters) {
+  const sanitization = createSanitization(_.clone(builtInFilters));
+  _.each(customFilters, (method, name) => sanitization.sanitizor.extend(name, method));
+  return sanitization;
 };
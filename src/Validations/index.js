@@ -2,6 +2,7 @@
 
 const Raw = require('../Raw');
 const Modes = require('../Modes');
+const Parser = require('../Parser');
 const _ = require('lodash');
 
 const fs = require('fs');
@@ -20,11 +21,12 @@ let Validations = module.exports = {};
  * @method skippable
  * @param  {Mixed}  value
  * @param  {Boolean} nullable
+ * @param  {Object} [options]
  * @return {Boolean}
  * @private
  */
-const skippable = function (value, nullable) {
-  if (Modes.get() === 'strict') return typeof value === 'undefined';
+const skippable = function (value, nullable, options) {
+  if (_.get(options, 'mode', Modes.get()) === 'strict') return typeof value === 'undefined';
 
   if (typeof value === 'string') {
     return value.length === 0;
@@ -90,6 +92,218 @@ const numericRules = ['numeric', 'integer'];
  */
 const fileRules = ['file', 'image'];
 
+/**
+ * @description returns the value of a rule argument, arguments
+ * defined as functions are called so that values like dates
+ * can be computed at the time of validation.
+ * @method argumentValue
+ * @param  {Mixed} arg
+ * @return {Mixed}
+ * @private
+ */
+const argumentValue = function (arg) {
+  return typeof (arg) === 'function' ? arg() : arg;
+};
+
+/**
+ * @description returns the type of a value as seen by size
+ * comparisons, values of different types cannot be compared.
+ * @method sizeType
+ * @param  {Mixed}  value
+ * @param  {Boolean}  hasNumericRule
+ * @param  {Boolean}  hasFileRule
+ * @return {String}
+ * @private
+ */
+const sizeType = function (value, hasNumericRule, hasFileRule) {
+  if (hasNumericRule && Raw.numeric(value)) {
+    return 'numeric';
+  }
+  if (value instanceof Array) {
+    return 'array';
+  }
+  if (hasFileRule && _.has(value, 'path')) {
+    return 'file';
+  }
+  return typeof (value);
+};
+
+/**
+ * @description compares the size of a field with the size of
+ * another field, or with a number when the other field is
+ * not defined.
+ * @method compareSizes
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Function} compare
+ * @return {Boolean}
+ * @throws {Object} If fields are of different types, with the `type_mismatch` reason
+ * @private
+ */
+const compareSizes = function (data, field, message, args, validations, compare) {
+  const isNumeric = hasRule(validations, numericRules);
+  const isFile = hasRule(validations, fileRules);
+  const fieldValue = _.get(data, field);
+  const size = Number(getSize(fieldValue, isNumeric, isFile));
+
+  const other = args[0];
+  const otherValue = typeof (other) === 'string' ? _.get(data, other) : undefined;
+  if (_.isNil(otherValue)) {
+    return Raw.numeric(other) && compare(size, Number(other));
+  }
+  if (sizeType(fieldValue, isNumeric, isFile) !== sizeType(otherValue, isNumeric, isFile)) {
+    throw {message, reason: 'type_mismatch'};
+  }
+  return compare(size, Number(getSize(otherValue, isNumeric, isFile)));
+};
+
+/**
+ * matches the array indexes of a field path, like `0`
+ * in `items.0.sku`.
+ *
+ * @type {RegExp}
+ * @private
+ */
+const arrayIndexRegex = /(^|\.)\d+(?=\.|$)/g;
+
+/**
+ * @description returns the paths of the other elements
+ * of the arrays a field belongs to, like `items.1.sku` for
+ * `items.0.sku`.
+ * @method siblingFields
+ * @param  {Object} data
+ * @param  {String} field
+ * @return {Array}
+ * @private
+ */
+const siblingFields = function (data, field) {
+  return _.without(Parser.expandField(data, field.replace(arrayIndexRegex, '$1*')), field);
+};
+
+/**
+ * @description returns the indexes of the elements of an
+ * array having the value of another element.
+ * @method duplicateIndexes
+ * @param  {Array} values
+ * @param  {Boolean} strict
+ * @param  {Boolean} ignoreCase
+ * @return {Array}
+ * @private
+ */
+const duplicateIndexes = function (values, strict, ignoreCase) {
+  return _.filter(_.range(values.length), (index) => {
+    return _.some(values, (value, otherIndex) => otherIndex !== index && sameValue(values[index], value, strict, ignoreCase));
+  });
+};
+
+/**
+ * @description returns the duplicates of a field value. Array
+ * elements, like `items.0.sku`, are duplicates of the other
+ * elements having their value, returned as paths. Other
+ * fields holding an array return the indexes of the
+ * duplicated elements of the array.
+ * @method findDuplicates
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {Boolean} strict
+ * @param  {Boolean} ignoreCase
+ * @return {Array}
+ * @private
+ */
+const findDuplicates = function (data, field, strict, ignoreCase) {
+  const fieldValue = _.get(data, field);
+  if (field.replace(arrayIndexRegex, '$1*') === field) {
+    return Array.isArray(fieldValue) ? duplicateIndexes(fieldValue, strict, ignoreCase) : [];
+  }
+  return _.filter(siblingFields(data, field), (sibling) => {
+    const value = _.get(data, sibling);
+    return !_.isUndefined(value) && sameValue(fieldValue, value, strict, ignoreCase);
+  });
+};
+
+/**
+ * @description tells whether two values are the same. Values
+ * are compared loosely unless strict is set, and strings
+ * are compared case insensitively when ignoreCase is set.
+ * @method sameValue
+ * @param  {Mixed} value
+ * @param  {Mixed} other
+ * @param  {Boolean} strict
+ * @param  {Boolean} ignoreCase
+ * @return {Boolean}
+ * @private
+ */
+const sameValue = function (value, other, strict, ignoreCase) {
+  if (ignoreCase && typeof (value) === 'string' && typeof (other) === 'string') {
+    value = value.toLowerCase();
+    other = other.toLowerCase();
+  }
+  if (strict || _.isObjectLike(value) || _.isObjectLike(other)) {
+    return _.isEqual(value, other);
+  }
+  return Raw.looselySame(value, other);
+};
+
+/**
+ * @description looks up the value of a field using the adapter
+ * of the validation options and tells whether the number of
+ * records found passes. The table is the first rule argument
+ * and the column the second one, defaulting to the name of
+ * the field. Async adapters make the lookup return a promise.
+ * @method lookup
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Object} options
+ * @param  {Object} lookupOptions
+ * @param  {Function} passes
+ * @return {String|Promise}
+ * @throws {Error} If no adapter is defined
+ * @see Adapters
+ * @private
+ */
+const lookup = function (data, field, message, args, options, lookupOptions, passes) {
+  const adapter = _.get(options, 'adapter');
+  if (!adapter || typeof (adapter.lookup) !== 'function') {
+    throw new Error('exists and unique rules require an adapter, register one using setAdapter');
+  }
+
+  const settle = function (count) {
+    if (passes(Number(count))) {
+      return 'validation passed';
+    }
+    throw message;
+  };
+
+  const column = args[1] || _.last(_.toPath(field));
+  const count = adapter.lookup(args[0], column, _.get(data, field), lookupOptions);
+  return count && typeof (count.then) === 'function' ? count.then(settle) : settle(count);
+};
+
+/**
+ * @description turns a synchronous rule into a validation
+ * returning a promise. The synchronous rule returns when
+ * validation passes and throws the message when it fails,
+ * and is kept on the `sync` property of the validation.
+ * @method syncRule
+ * @param  {Function} rule
+ * @return {Function}
+ * @private
+ */
+const syncRule = function (rule) {
+  const validation = function (data, field, message, args, validations, options) {
+    return new Promise(function (resolve) {
+      resolve(rule(data, field, message, args, validations, options));
+    });
+  };
+  validation.sync = rule;
+  return validation;
+};
+
 /**
  * @description enforces a field to be confirmed by another.
  * @method email
@@ -98,24 +312,21 @@ const fileRules = ['file', 'image'];
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.confirmed = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    const confirmedFieldValue = _.get(data, `${field}_confirmation`);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.same(fieldValue, confirmedFieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.confirmed = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  const confirmedFieldValue = _.get(data, `${field}_confirmation`);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.same(fieldValue, confirmedFieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description enforces a field to be an email if present
@@ -125,23 +336,20 @@ Validations.confirmed = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.email = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.email(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.email = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.email(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description enforces a field to be accepted
@@ -151,23 +359,20 @@ Validations.email = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.accepted = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.truthy(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.accepted = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.truthy(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description enforces a field to be after a certain date
@@ -177,23 +382,20 @@ Validations.accepted = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.after = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.after(fieldValue, args[0])) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.after = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.after(fieldValue, argumentValue(args[0]))) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure the field under validation is a
@@ -204,23 +406,20 @@ Validations.after = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.alpha = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.alpha(fieldValue) && fieldValue !== null) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.alpha = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.alpha(fieldValue) && fieldValue !== null) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure the field under validation is a
@@ -231,23 +430,20 @@ Validations.alpha = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.alphaNumeric = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.alphaNumeric(fieldValue) && fieldValue !== null) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.alphaNumeric = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.alphaNumeric(fieldValue) && fieldValue !== null) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure value of field under validation
@@ -258,23 +454,20 @@ Validations.alphaNumeric = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.array = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.array(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.array = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.array(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure value of field under validation
@@ -285,23 +478,20 @@ Validations.array = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.url = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.url(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.url = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.url(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure value of field under validation
@@ -312,23 +502,20 @@ Validations.url = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.uuid = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.uuid(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.uuid = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.uuid(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure value of field under validation
@@ -339,51 +526,46 @@ Validations.uuid = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.numeric = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
+Validations.numeric = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
 
-    if (Raw.numeric(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  if (Raw.numeric(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure value of field under validation
- * is a valid object
+ * is a valid object. Keys of the object without rules
+ * are reported by the validator when using `object:strict`.
  * @method object
  * @param  {Object} data
  * @param  {String} field
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.object = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.object(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.object = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.object(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure value of field under validation
@@ -394,23 +576,20 @@ Validations.object = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.json = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.json(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.json = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.json(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure value of field under validation is a
@@ -421,23 +600,20 @@ Validations.json = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.ip = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.ip(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.ip = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.ip(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure value of field under validation is a
@@ -448,23 +624,20 @@ Validations.ip = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.ipv4 = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.ipv4(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.ipv4 = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.ipv4(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure value of field under validation is a
@@ -475,23 +648,20 @@ Validations.ipv4 = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.ipv6 = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.ipv6(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.ipv6 = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.ipv6(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure value of field under validation is a
@@ -502,23 +672,20 @@ Validations.ipv6 = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.integer = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Number.isInteger(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.integer = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Number.isInteger(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure value of field under validation is
@@ -533,30 +700,26 @@ Validations.integer = function (data, field, message, args, validations) {
  * @example
  *   accepts : true,false,0,1,"0","1"
  */
-Validations.boolean = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    let fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
+Validations.boolean = syncRule(function (data, field, message, args, validations, options) {
+  let fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
 
-    /**
-     * converting 0 and 1 strings to numbers
-     */
-    if (fieldValue === '0') {
-      fieldValue = 0;
-    } else if (fieldValue === '1') {
-      fieldValue = 1;
-    }
+  /**
+   * converting 0 and 1 strings to numbers
+   */
+  if (fieldValue === '0') {
+    fieldValue = 0;
+  } else if (fieldValue === '1') {
+    fieldValue = 1;
+  }
 
-    if (Raw.boolean(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  if (Raw.boolean(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure field under validation is before
@@ -567,23 +730,20 @@ Validations.boolean = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.before = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.before(fieldValue, args[0])) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.before = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.before(fieldValue, argumentValue(args[0]))) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure field under validation is before or same
@@ -594,23 +754,21 @@ Validations.before = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.beforeOrEqual = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.before(fieldValue, args[0]) || Raw.sameDate(fieldValue, args[0])) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.beforeOrEqual = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  const beforeDate = argumentValue(args[0]);
+  if (Raw.before(fieldValue, beforeDate) || Raw.sameDate(fieldValue, beforeDate)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure field under validation is after or same
@@ -621,52 +779,110 @@ Validations.beforeOrEqual = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.afterOrEqual = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.after(fieldValue, args[0]) || Raw.sameDate(fieldValue, args[0])) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
-
+Validations.afterOrEqual = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  const afterDate = argumentValue(args[0]);
+  if (Raw.after(fieldValue, afterDate) || Raw.sameDate(fieldValue, afterDate)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
- * @description makes sure field under validation is a valid
- * date
- * @method date
+ * @description makes sure field under validation is after the
+ * current date moved by a given offset, like `after_offset_of:4,months`
+ * @method afterOffsetOf
  * @param  {Object} data
  * @param  {String} field
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.date = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.dateFormat(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
+Validations.afterOffsetOf = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.afterOffsetOf(fieldValue, args[0], args[1])) {
+    return 'validation passed';
+  }
+  throw message;
+});
+
+/**
+ * @description makes sure field under validation is before the
+ * current date moved by a given offset, like `before_offset_of:1,year`
+ * @method beforeOffsetOf
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @public
+ */
+Validations.beforeOffsetOf = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.beforeOffsetOf(fieldValue, args[0], args[1])) {
+    return 'validation passed';
+  }
+  throw message;
+});
+
+/**
+ * @description tells the engine whether the offset and unit
+ * of `after_offset_of` and `before_offset_of` are valid when
+ * compiling rules, so that a typo inside the schema is not
+ * reported as a failure of the field.
+ * @method checkArgs
+ * @param  {Array} args
+ * @return {void}
+ * @throws {Error} If offset or unit are not valid
+ * @private
+ */
+Validations.afterOffsetOf.checkArgs = Validations.beforeOffsetOf.checkArgs = function (args) {
+  Raw.checkOffset(args[0], args[1]);
 };
 
+
+/**
+ * @description makes sure field under validation is a valid
+ * date
+ * @method date
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @public
+ */
+Validations.date = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.dateFormat(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
+
 /**
  * @description makes sure field under validation is a valid
  * date according to given format
@@ -676,24 +892,21 @@ Validations.date = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.dateFormat = function (data, field, message, args, validations) {
+Validations.dateFormat = syncRule(function (data, field, message, args, validations, options) {
   const format = args[0];
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.dateFormat(fieldValue, format)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.dateFormat(fieldValue, format)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 
 /**
@@ -704,24 +917,21 @@ Validations.dateFormat = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.time = function (data, field, message, args, validations) {
+Validations.time = syncRule(function (data, field, message, args, validations, options) {
   const timeFormat = ['HH:mm:ss', 'HH:mm', 'HH:mm a'];
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.dateFormat(fieldValue, timeFormat)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.dateFormat(fieldValue, timeFormat)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure field value is under defined
@@ -732,23 +942,20 @@ Validations.time = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Boolean}
  * @public
  */
-Validations.in = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (Raw.inArray(fieldValue, args)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.in = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.inArray(fieldValue, _.flatten(args))) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure field value is not in one
@@ -759,23 +966,20 @@ Validations.in = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.notIn = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    if (!Raw.inArray(fieldValue, args)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.notIn = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (!Raw.inArray(fieldValue, _.flatten(args))) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description enforces a field to be present and should not be
@@ -790,16 +994,58 @@ Validations.notIn = function (data, field, message, args, validations) {
  * @see  Raw.empty
  * @public
  */
-Validations.required = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (!Raw.empty(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.required = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (!Raw.empty(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
+
+/**
+ * @description makes sure field under validation is not empty
+ * when it is present, absent fields pass
+ * @method filled
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @see  Raw.empty
+ * @public
+ */
+Validations.filled = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (_.isUndefined(fieldValue) || !Raw.empty(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
+
+/**
+ * @description makes sure field under validation is present,
+ * not empty and is an object or an array holding all the
+ * defined keys
+ * @method requiredArrayKeys
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @see  Raw.empty
+ * @public
+ */
+Validations.requiredArrayKeys = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (!Raw.empty(fieldValue) && _.isObjectLike(fieldValue) && _.every(args, (key) => _.has(fieldValue, [key]))) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure field under validation is present and
@@ -813,26 +1059,22 @@ Validations.required = function (data, field, message, args, validations) {
  * @return {Object}
  * @public
  */
-Validations.requiredIf = function (data, field, message, args, validations) {
+Validations.requiredIf = syncRule(function (data, field, message, args, validations, options) {
   const withField = args[0];
   const withfieldExpectedValue = args[1];
-  return new Promise(function (resolve, reject) {
-    const withFieldValue = _.get(data, withField);
+  const withFieldValue = _.get(data, withField);
 
-    if (withfieldExpectedValue !== withFieldValue) {
-      resolve('validation skipped');
-      return;
-    }
+  if (withfieldExpectedValue !== withFieldValue) {
+    return 'validation skipped';
+  }
 
-    const fieldValue = _.get(data, field);
-    if (!Raw.empty(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
+  const fieldValue = _.get(data, field);
+  if (!Raw.empty(fieldValue)) {
+    return 'validation passed';
+  }
 
-    reject(message);
-  });
-};
+  throw message;
+});
 
 /**
  * @description makes sure field under validation is present and
@@ -847,25 +1089,21 @@ Validations.requiredIf = function (data, field, message, args, validations) {
  * @return {Object}
  * @public
  */
-Validations.requiredUnless = function (data, field, message, args, validations) {
+Validations.requiredUnless = syncRule(function (data, field, message, args, validations, options) {
   const withField = args[0];
   const withfieldExpectedValue = args[1];
-  return new Promise(function (resolve, reject) {
-    const withFieldValue = _.get(data, withField);
+  const withFieldValue = _.get(data, withField);
 
-    if (withfieldExpectedValue === withFieldValue) {
-      resolve('validation skipped');
-      return;
-    }
+  if (withfieldExpectedValue === withFieldValue) {
+    return 'validation skipped';
+  }
 
-    const fieldValue = _.get(data, field);
-    if (!Raw.empty(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  const fieldValue = _.get(data, field);
+  if (!Raw.empty(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description enforces field under validation to have data
@@ -880,35 +1118,31 @@ Validations.requiredUnless = function (data, field, message, args, validations)
  * @return {Object}
  * @public
  */
-Validations.requiredWith = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    let withFieldCount = 0;
-
-    /**
-     * looping through all items to make sure
-     * one of them is present
-     */
-    args.forEach(function (item) {
-      const itemValue = _.get(data, item);
-      if (!skippable(itemValue)) {
-        withFieldCount++;
-        return;
-      }
-    });
-
-    if (withFieldCount === 0) {
-      resolve('validation skipped');
-      return;
-    }
+Validations.requiredWith = syncRule(function (data, field, message, args, validations, options) {
+  let withFieldCount = 0;
 
-    const fieldValue = _.get(data, field);
-    if (!Raw.empty(fieldValue)) {
-      resolve('validation passed');
+  /**
+   * looping through all items to make sure
+   * one of them is present
+   */
+  args.forEach(function (item) {
+    const itemValue = _.get(data, item);
+    if (!skippable(itemValue, false, options)) {
+      withFieldCount++;
       return;
     }
-    reject(message);
   });
-};
+
+  if (withFieldCount === 0) {
+    return 'validation skipped';
+  }
+
+  const fieldValue = _.get(data, field);
+  if (!Raw.empty(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description enforces field under validation to have data
@@ -923,34 +1157,30 @@ Validations.requiredWith = function (data, field, message, args, validations) {
  * @return {Object}
  * @public
  */
-Validations.requiredWithAll = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    let withFieldsCount = 0;
-
-    /**
-     * looping through all items to make sure
-     * all of them is present
-     */
-    args.forEach(function (item) {
-      const itemValue = _.get(data, item);
-      if (!skippable(itemValue)) {
-        withFieldsCount++;
-      }
-    });
-
-    if (withFieldsCount !== args.length) {
-      resolve('validation skipped');
-      return;
-    }
-
-    const fieldValue = _.get(data, field);
-    if (!Raw.empty(fieldValue)) {
-      resolve('validation passed');
-      return;
+Validations.requiredWithAll = syncRule(function (data, field, message, args, validations, options) {
+  let withFieldsCount = 0;
+
+  /**
+   * looping through all items to make sure
+   * all of them is present
+   */
+  args.forEach(function (item) {
+    const itemValue = _.get(data, item);
+    if (!skippable(itemValue, false, options)) {
+      withFieldsCount++;
     }
-    reject(message);
   });
-};
+
+  if (withFieldsCount !== args.length) {
+    return 'validation skipped';
+  }
+
+  const fieldValue = _.get(data, field);
+  if (!Raw.empty(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description enforces field under validation to have data
@@ -965,35 +1195,31 @@ Validations.requiredWithAll = function (data, field, message, args, validations)
  * @return {Object}
  * @public
  */
-Validations.requiredWithout = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    let withOutFieldCounts = 0;
-
-    /**
-     * looping through all items to make sure
-     * one of them is present
-     */
-    args.forEach(function (item) {
-      const itemValue = _.get(data, item);
-      if (skippable(itemValue)) {
-        withOutFieldCounts++;
-        return;
-      }
-    });
-
-    if (withOutFieldCounts === 0) {
-      resolve('validation skipped');
-      return;
-    }
+Validations.requiredWithout = syncRule(function (data, field, message, args, validations, options) {
+  let withOutFieldCounts = 0;
 
-    const fieldValue = _.get(data, field);
-    if (!Raw.empty(fieldValue)) {
-      resolve('validation passed');
+  /**
+   * looping through all items to make sure
+   * one of them is present
+   */
+  args.forEach(function (item) {
+    const itemValue = _.get(data, item);
+    if (skippable(itemValue, false, options)) {
+      withOutFieldCounts++;
       return;
     }
-    reject(message);
   });
-};
+
+  if (withOutFieldCounts === 0) {
+    return 'validation skipped';
+  }
+
+  const fieldValue = _.get(data, field);
+  if (!Raw.empty(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description enforces field under validation to have data
@@ -1008,34 +1234,30 @@ Validations.requiredWithout = function (data, field, message, args, validations)
  * @return {Object}
  * @public
  */
-Validations.requiredWithoutAll = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    let withOutFieldCounts = 0;
-
-    /**
-     * looping through all items to make sure
-     * one of them is present
-     */
-    args.forEach(function (item) {
-      const itemValue = _.get(data, item);
-      if (skippable(itemValue)) {
-        withOutFieldCounts++;
-        return;
-      }
-    });
-    if (withOutFieldCounts !== args.length) {
-      resolve('validation skipped');
-      return;
-    }
+Validations.requiredWithoutAll = syncRule(function (data, field, message, args, validations, options) {
+  let withOutFieldCounts = 0;
 
-    const fieldValue = _.get(data, field);
-    if (!Raw.empty(fieldValue)) {
-      resolve('validation passed');
+  /**
+   * looping through all items to make sure
+   * one of them is present
+   */
+  args.forEach(function (item) {
+    const itemValue = _.get(data, item);
+    if (skippable(itemValue, false, options)) {
+      withOutFieldCounts++;
       return;
     }
-    reject(message);
   });
-};
+  if (withOutFieldCounts !== args.length) {
+    return 'validation skipped';
+  }
+
+  const fieldValue = _.get(data, field);
+  if (!Raw.empty(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure the value of field under validation
@@ -1046,31 +1268,27 @@ Validations.requiredWithoutAll = function (data, field, message, args, validatio
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.same = function (data, field, message, args, validations) {
+Validations.same = syncRule(function (data, field, message, args, validations, options) {
   const targetedField = args[0];
-  return new Promise(function (resolve, reject) {
-    const targetedFieldValue = _.get(data, targetedField);
-    if (!targetedFieldValue) {
-      resolve('validation skipped');
-      return;
-    }
+  const targetedFieldValue = _.get(data, targetedField);
+  if (!targetedFieldValue) {
+    return 'validation skipped';
+  }
 
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
 
-    if (targetedFieldValue === fieldValue) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  if (targetedFieldValue === fieldValue) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure the value of field under validation
@@ -1081,31 +1299,27 @@ Validations.same = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.different = function (data, field, message, args, validations) {
+Validations.different = syncRule(function (data, field, message, args, validations, options) {
   const targetedField = args[0];
-  return new Promise(function (resolve, reject) {
-    const targetedFieldValue = _.get(data, targetedField);
-    if (!targetedFieldValue) {
-      resolve('validation skipped');
-      return;
-    }
+  const targetedFieldValue = _.get(data, targetedField);
+  if (!targetedFieldValue) {
+    return 'validation skipped';
+  }
 
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
 
-    if (targetedFieldValue !== fieldValue) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  if (targetedFieldValue !== fieldValue) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure value of field under validation
@@ -1118,28 +1332,24 @@ Validations.different = function (data, field, message, args, validations) {
  * @return {Object}
  * @public
  */
-Validations.range = function (data, field, message, args, validations) {
+Validations.range = syncRule(function (data, field, message, args, validations, options) {
   const min = args[0];
   const max = args[1];
-  return new Promise(function (resolve, reject) {
-    if (!min || !max) {
-      return reject('min and max values are required for range validation');
-    }
+  if (!min || !max) {
+    throw 'min and max values are required for range validation';
+  }
 
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
 
-    const isNumeric = hasRule(validations, numericRules);
-    if (Raw.between(getSize(fieldValue, isNumeric), min, max)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  const isNumeric = hasRule(validations, numericRules);
+  if (Raw.between(getSize(fieldValue, isNumeric), min, max)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 
 /**
@@ -1153,23 +1363,19 @@ Validations.range = function (data, field, message, args, validations) {
  * @return {Object}
  * @public
  */
-Validations.min = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
+Validations.min = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
 
-    const isNumeric = hasRule(validations, numericRules);
-    const isFile = hasRule(validations, fileRules);
-    if (Number(getSize(fieldValue, isNumeric, isFile)) >= Number(args[0])) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  const isNumeric = hasRule(validations, numericRules);
+  const isFile = hasRule(validations, fileRules);
+  if (Number(getSize(fieldValue, isNumeric, isFile)) >= Number(args[0])) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure the length of field under
@@ -1182,23 +1388,19 @@ Validations.min = function (data, field, message, args, validations) {
  * @return {Object}
  * @public
  */
-Validations.max = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
+Validations.max = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
 
-    const isNumeric = hasRule(validations, numericRules);
-    const isFile = hasRule(validations, fileRules);
-    if (Number(getSize(fieldValue, isNumeric, isFile)) <= Number(args[0])) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  const isNumeric = hasRule(validations, numericRules);
+  const isFile = hasRule(validations, fileRules);
+  if (Number(getSize(fieldValue, isNumeric, isFile)) <= Number(args[0])) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure value of field under validation contains a
@@ -1209,25 +1411,22 @@ Validations.max = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.includes = function (data, field, message, args, validations) {
+Validations.includes = syncRule(function (data, field, message, args, validations, options) {
   const substring = args[0];
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
 
-    if (String(fieldValue).includes(substring)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  if (String(fieldValue).includes(substring)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure value of field under validation
@@ -1238,25 +1437,22 @@ Validations.includes = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.startsWith = function (data, field, message, args, validations) {
+Validations.startsWith = syncRule(function (data, field, message, args, validations, options) {
   const substring = args[0];
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
 
-    if (String(fieldValue).startsWith(substring)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  if (String(fieldValue).startsWith(substring)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure value of field under validation
@@ -1267,25 +1463,22 @@ Validations.startsWith = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.endsWith = function (data, field, message, args, validations) {
+Validations.endsWith = syncRule(function (data, field, message, args, validations, options) {
   const substring = args[0];
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
 
-    if (String(fieldValue).endsWith(substring)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  if (String(fieldValue).endsWith(substring)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure field under validation satifies defined
@@ -1296,27 +1489,24 @@ Validations.endsWith = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.regex = function (data, field, message, args, validations) {
+Validations.regex = syncRule(function (data, field, message, args, validations, options) {
   const regexExp = args[0];
   const regexFlags = args[1];
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
 
-    const expression = regexFlags ? new RegExp(regexExp, regexFlags) : new RegExp(regexExp);
-    if (Raw.regex(fieldValue, expression)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  const expression = regexFlags ? new RegExp(regexExp, regexFlags) : new RegExp(regexExp);
+  if (Raw.regex(fieldValue, expression)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure field under validation is a string
@@ -1326,24 +1516,21 @@ Validations.regex = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.string = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
+Validations.string = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
 
-    if (Raw.string(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  if (Raw.string(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure field under validation is lower case
@@ -1353,24 +1540,21 @@ Validations.string = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.lowercase = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
+Validations.lowercase = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
 
-    if (String(fieldValue).toLowerCase() === String(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  if (String(fieldValue).toLowerCase() === String(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description makes sure field under validation is upper case
@@ -1380,24 +1564,21 @@ Validations.lowercase = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.uppercase = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
+Validations.uppercase = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
 
-    if (String(fieldValue).toUpperCase() === String(fieldValue)) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  if (String(fieldValue).toUpperCase() === String(fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description Validate the input has correct size
@@ -1409,22 +1590,18 @@ Validations.uppercase = function (data, field, message, args, validations) {
  * @return {Object}
  * @public
  */
-Validations.size = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
-    const isNumeric = hasRule(validations, numericRules);
-    const isFile = hasRule(validations, fileRules);
-    if (Number(getSize(fieldValue, isNumeric, isFile)) === Number(args[0])) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+Validations.size = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  const isNumeric = hasRule(validations, numericRules);
+  const isFile = hasRule(validations, fileRules);
+  if (Number(getSize(fieldValue, isNumeric, isFile)) === Number(args[0])) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description Validate the input is a file
@@ -1434,33 +1611,26 @@ Validations.size = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.file = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
+Validations.file = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
 
-    if (!_.isObject(fieldValue) && !_.has(fieldValue, 'mimetype') && !_.has(fieldValue, 'path')) {
-      reject(message);
-      return;
-    }
+  if (!_.isObject(fieldValue) && !_.has(fieldValue, 'mimetype') && !_.has(fieldValue, 'path')) {
+    throw message;
+  }
 
-    fs.exists(fieldValue.path, (exists) => {
-      if (!exists) {
-        reject(message);
-        return;
-      }
+  if (!fs.existsSync(fieldValue.path)) {
+    throw message;
+  }
 
-      resolve('validation passed');
-      return;
-    });
-  });
-};
+  return 'validation passed';
+});
 
 /**
  * @description Validate the mime type of an file matches the given values
@@ -1470,24 +1640,21 @@ Validations.file = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.mimetypes = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
-    if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-      resolve('validation skipped');
-      return;
-    }
+Validations.mimetypes = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
 
-    if (fieldValue.mimetype === args[0]) {
-      resolve('validation passed');
-      return;
-    }
-    reject(message);
-  });
-};
+  if (fieldValue.mimetype === args[0]) {
+    return 'validation passed';
+  }
+  throw message;
+});
 
 /**
  * @description Validate the file is a image type
@@ -1497,32 +1664,30 @@ Validations.mimetypes = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.image = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    resolve('validation skipped');
-    return;
-    //
-    // const fieldValue = _.get(data, field);
-    // if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-    //   resolve('validation skipped');
-    //   return;
-    // }
-    //
-    // const image = sharp(fieldValue.path);
-    // image.metadata()
-    //   .then(function () {
-    //     resolve('validation passed');
-    //     return;
-    //   })
-    //   .catch(function (err) {
-    //     reject(message);
-    //     return;
-    //   });
-  });
-};
+Validations.image = syncRule(function (data, field, message, args, validations, options) {
+  return 'validation skipped';
+  //
+  // const fieldValue = _.get(data, field);
+  // if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+  //   resolve('validation skipped');
+  //   return;
+  // }
+  //
+  // const image = sharp(fieldValue.path);
+  // image.metadata()
+  //   .then(function () {
+  //     resolve('validation passed');
+  //     return;
+  //   })
+  //   .catch(function (err) {
+  //     reject(message);
+  //     return;
+  //   });
+});
 
 /**
  * @description Validate the dimensions of an image matches the given values
@@ -1532,59 +1697,169 @@ Validations.image = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Object}
  * @public
  */
-Validations.dimensions = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    resolve('validation skipped');
-    return;
-    //
-    // const fieldValue = _.get(data, field);
-    // if (skippable(fieldValue, hasRule(validations, 'nullable'))) {
-    //   resolve('validation skipped');
-    //   return;
-    // }
-    //
-    // const image = sharp(fieldValue.path);
-    // image.metadata()
-    //   .then(function (metadata) {
-    //     let parameters = {};
-    //     _.each(args, (arg) => {
-    //       const argValue = arg.split('=');
-    //       parameters[argValue[0]] = argValue[1];
-    //     });
-    //
-    //     if (
-    //       !_.isUndefined(parameters.width) && parseInt(parameters.width) !== metadata.width ||
-    //       !_.isUndefined(parameters.min_width) && parseInt(parameters.min_width) > metadata.width ||
-    //       !_.isUndefined(parameters.max_width) && parseInt(parameters.max_width) < metadata.width ||
-    //       !_.isUndefined(parameters.height) && parseInt(parameters.height) !== metadata.height ||
-    //       !_.isUndefined(parameters.min_height) && parseInt(parameters.min_height) > metadata.height ||
-    //       !_.isUndefined(parameters.max_height) && parseInt(parameters.max_height) < metadata.height
-    //     ) {
-    //       reject(message);
-    //       return;
-    //     }
-    //
-    //     if (!_.isUndefined(parameters.ratio)) {
-    //       let ratio = parameters.ratio.split('/');
-    //
-    //       let numerator = !_.isUndefined(ratio[0]) && ratio[0] !== '' ? parseInt(ratio[0]) : 1;
-    //       let denominator = !_.isUndefined(ratio[0]) && ratio[1] !== '' ? parseInt(ratio[1]) : 1;
-    //       if (numerator / denominator !== metadata.width / metadata.height) return reject(message);
-    //     }
-    //
-    //     resolve('validation passed');
-    //     return;
-    //   })
-    //   .catch(function (err) {
-    //     reject(message);
-    //     return;
-    //   });
-  });
+Validations.dimensions = syncRule(function (data, field, message, args, validations, options) {
+  return 'validation skipped';
+  //
+  // const fieldValue = _.get(data, field);
+  // if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+  //   resolve('validation skipped');
+  //   return;
+  // }
+  //
+  // const image = sharp(fieldValue.path);
+  // image.metadata()
+  //   .then(function (metadata) {
+  //     let parameters = {};
+  //     _.each(args, (arg) => {
+  //       const argValue = arg.split('=');
+  //       parameters[argValue[0]] = argValue[1];
+  //     });
+  //
+  //     if (
+  //       !_.isUndefined(parameters.width) && parseInt(parameters.width) !== metadata.width ||
+  //       !_.isUndefined(parameters.min_width) && parseInt(parameters.min_width) > metadata.width ||
+  //       !_.isUndefined(parameters.max_width) && parseInt(parameters.max_width) < metadata.width ||
+  //       !_.isUndefined(parameters.height) && parseInt(parameters.height) !== metadata.height ||
+  //       !_.isUndefined(parameters.min_height) && parseInt(parameters.min_height) > metadata.height ||
+  //       !_.isUndefined(parameters.max_height) && parseInt(parameters.max_height) < metadata.height
+  //     ) {
+  //       reject(message);
+  //       return;
+  //     }
+  //
+  //     if (!_.isUndefined(parameters.ratio)) {
+  //       let ratio = parameters.ratio.split('/');
+  //
+  //       let numerator = !_.isUndefined(ratio[0]) && ratio[0] !== '' ? parseInt(ratio[0]) : 1;
+  //       let denominator = !_.isUndefined(ratio[0]) && ratio[1] !== '' ? parseInt(ratio[1]) : 1;
+  //       if (numerator / denominator !== metadata.width / metadata.height) return reject(message);
+  //     }
+  //
+  //     resolve('validation passed');
+  //     return;
+  //   })
+  //   .catch(function (err) {
+  //     reject(message);
+  //     return;
+  //   });
+});
+
+
+/**
+ * @description stops running the rules of a field after the
+ * first failure, the engine takes care of running the
+ * rules one after the other.
+ * @method bail
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Boolean}
+ * @public
+ */
+Validations.bail = syncRule(function (data, field, message, args, validations, options) {
+  return 'validation skipped';
+});
+
+/**
+ * @description validates the field only when it is present
+ * inside the data, the engine skips all rules of the
+ * field otherwise.
+ * @method sometimes
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Boolean}
+ * @public
+ */
+Validations.sometimes = syncRule(function (data, field, message, args, validations, options) {
+  return 'validation skipped';
+});
+
+/**
+ * @description tells the engine to exclude the field when it
+ * is not present inside the data.
+ * @method excludes
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {Array} args
+ * @return {Boolean}
+ * @private
+ */
+Validations.sometimes.excludes = function (data, field, args) {
+  return !_.has(data, field);
 };
 
+/**
+ * @description excludes the field from validation and from the
+ * validated data when another field has a given value.
+ * @method excludeIf
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Boolean}
+ * @public
+ */
+Validations.excludeIf = syncRule(function (data, field, message, args, validations, options) {
+  return 'validation skipped';
+});
+
+/**
+ * @description tells the engine to exclude the field when the
+ * other field has the given value.
+ * @method excludes
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {Array} args
+ * @return {Boolean}
+ * @private
+ */
+Validations.excludeIf.excludes = function (data, field, args) {
+  return Raw.looselySame(_.get(data, args[0]), args[1]);
+};
+
+/**
+ * @description excludes the field from validation and from the
+ * validated data unless another field has a given value.
+ * @method excludeUnless
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Boolean}
+ * @public
+ */
+Validations.excludeUnless = syncRule(function (data, field, message, args, validations, options) {
+  return 'validation skipped';
+});
+
+/**
+ * @description tells the engine to exclude the field unless the
+ * other field has the given value.
+ * @method excludes
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {Array} args
+ * @return {Boolean}
+ * @private
+ */
+Validations.excludeUnless.excludes = function (data, field, args) {
+  return !Raw.looselySame(_.get(data, args[0]), args[1]);
+};
 
 /**
  * @description field value is allow null type
@@ -1595,15 +1870,13 @@ Validations.dimensions = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Boolean}
  * @public
  */
-Validations.nullable = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    resolve('validation skipped');
-    return;
-  });
-};
+Validations.nullable = syncRule(function (data, field, message, args, validations, options) {
+  return 'validation skipped';
+});
 
 /**
  * @description Validate the value must exist
@@ -1614,22 +1887,389 @@ Validations.nullable = function (data, field, message, args, validations) {
  * @param  {String} message
  * @param  {Array} args
  * @param  {Array} validations
+ * @param  {Object} [options]
  * @return {Boolean}
  * @public
  */
-Validations.present = function (data, field, message, args, validations) {
-  return new Promise(function (resolve, reject) {
-    const fieldValue = _.get(data, field);
+Validations.present = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
 
-    if (typeof fieldValue !== 'undefined') {
-      resolve('validation passed');
-    }
+  if (typeof fieldValue !== 'undefined') {
+    return 'validation passed';
+  }
 
-    reject(message);
-  });
-};
+  throw message;
+});
+
+/**
+ * @description makes sure the value of field under validation
+ * is above the defined value
+ * @method above
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @public
+ */
+Validations.above = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.above(fieldValue, args[0])) {
+    return 'validation passed';
+  }
+  throw message;
+});
+
+/**
+ * @description makes sure the value of field under validation
+ * is under the defined value
+ * @method under
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @public
+ */
+Validations.under = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  /**
+   * Raw.under is true for equal values, the defined value
+   * must be above the field value instead.
+   */
+  if (Raw.above(args[0], fieldValue)) {
+    return 'validation passed';
+  }
+  throw message;
+});
+
+/**
+ * @description makes sure the value of field under validation
+ * equals the defined value. Values are compared loosely,
+ * so `equals:26` passes for `26` and `'26'`.
+ * @method equals
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @public
+ */
+Validations.equals = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.looselySame(fieldValue, args[0])) {
+    return 'validation passed';
+  }
+  throw message;
+});
+
+/**
+ * @description makes sure the value of field under validation
+ * is different from the defined value. Values are
+ * compared loosely.
+ * @method notEquals
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @public
+ */
+Validations.notEquals = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (!Raw.looselySame(fieldValue, args[0])) {
+    return 'validation passed';
+  }
+  throw message;
+});
+
+/**
+ * @description makes sure the size of field under validation
+ * is greater than the size of another field, or a number
+ * @method gt
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @public
+ */
+Validations.gt = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (compareSizes(data, field, message, args, validations, (size, otherSize) => size > otherSize)) {
+    return 'validation passed';
+  }
+  throw message;
+});
+
+/**
+ * @description makes sure the size of field under validation
+ * is greater than or equal to the size of another field, or a number
+ * @method gte
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @public
+ */
+Validations.gte = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (compareSizes(data, field, message, args, validations, (size, otherSize) => size >= otherSize)) {
+    return 'validation passed';
+  }
+  throw message;
+});
+
+/**
+ * @description makes sure the size of field under validation
+ * is less than the size of another field, or a number
+ * @method lt
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @public
+ */
+Validations.lt = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (compareSizes(data, field, message, args, validations, (size, otherSize) => size < otherSize)) {
+    return 'validation passed';
+  }
+  throw message;
+});
+
+/**
+ * @description makes sure the size of field under validation
+ * is less than or equal to the size of another field, or a number
+ * @method lte
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @public
+ */
+Validations.lte = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (compareSizes(data, field, message, args, validations, (size, otherSize) => size <= otherSize)) {
+    return 'validation passed';
+  }
+  throw message;
+});
+
+/**
+ * @description makes sure field under validation contains
+ * digits only and has the defined number of digits
+ * @method digits
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @public
+ */
+Validations.digits = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.digits(fieldValue) && String(fieldValue).length === Number(args[0])) {
+    return 'validation passed';
+  }
+  throw message;
+});
+
+/**
+ * @description makes sure field under validation contains
+ * digits only and has a number of digits between the
+ * defined min and max, both included
+ * @method digitsBetween
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @public
+ */
+Validations.digitsBetween = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  const length = String(fieldValue).length;
+  if (Raw.digits(fieldValue) && length >= Number(args[0]) && length <= Number(args[1])) {
+    return 'validation passed';
+  }
+  throw message;
+});
+
+/**
+ * @description makes sure field under validation is a
+ * multiple of the defined number
+ * @method multipleOf
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @public
+ */
+Validations.multipleOf = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  if (Raw.multipleOf(fieldValue, args[0])) {
+    return 'validation passed';
+  }
+  throw message;
+});
+
+/**
+ * @description makes sure the value of an array element is
+ * not the value of another element, like `items.*.sku`,
+ * or that an array has no duplicated elements.
+ * Values are compared loosely, use `distinct:strict` for
+ * type sensitive comparison and `distinct:ignore_case` for
+ * case insensitive comparison. Elements fail with the
+ * paths of the other elements having their value, and
+ * arrays with the indexes of the duplicated elements.
+ * @method distinct
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @public
+ */
+Validations.distinct = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  const duplicates = findDuplicates(data, field, _.includes(args, 'strict'), _.includes(args, 'ignore_case'));
+  if (!duplicates.length) {
+    return 'validation passed';
+  }
+  throw {message, duplicates};
+});
+
+/**
+ * @description makes sure the value of field under validation
+ * exists inside a data source, like `exists:users,email`
+ * @method exists
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @see Adapters
+ * @public
+ */
+Validations.exists = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  return lookup(data, field, message, args, options, {}, (count) => count > 0);
+});
+
+/**
+ * @description makes sure the value of field under validation
+ * does not exist inside a data source, like
+ * `unique:users,email,1,id`. The record with the
+ * `id` column, or the given one, equal to the third
+ * argument is ignored.
+ * @method unique
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array} args
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ * @return {Object}
+ * @see Adapters
+ * @public
+ */
+Validations.unique = syncRule(function (data, field, message, args, validations, options) {
+  const fieldValue = _.get(data, field);
+  if (skippable(fieldValue, hasRule(validations, 'nullable'), options)) {
+    return 'validation skipped';
+  }
+  const lookupOptions = _.isNil(args[2]) ? {} : {except: args[2], idColumn: args[3] || 'id'};
+  return lookup(data, field, message, args, options, lookupOptions, (count) => count === 0);
+});
+
+/**
+ * exists and unique need an adapter, the validator makes
+ * sure one is defined before running them.
+ */
+Validations.exists.usesAdapter = true;
+Validations.unique.usesAdapter = true;
+
+/**
+ * unique ignores no record when the `except` argument
+ * references a missing field, like the id of a record
+ * being created, instead of being skipped.
+ */
+Validations.unique.allowsMissingReferences = true;
 
 /**
  * aliases
  */
 Validations.between = Validations.range;
+Validations.requiredWhen = Validations.requiredIf;
+Validations.requiredWithAny = Validations.requiredWith;
+Validations.requiredWithoutAny = Validations.requiredWithout;
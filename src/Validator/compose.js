@@ -0,0 +1,148 @@
+'use strict';
+
+const _ = require('lodash');
+const Parser = require('../Parser');
+
+/**
+ * converts the rules of a field to a list of rule objects,
+ * so that single rules can be added or removed without
+ * touching rule strings by hand.
+ *
+ * @param  {String|Array|Object|Function} rule
+ *
+ * @return {Array}
+ *
+ * @private
+ */
+const _toRuleObjects = function (rule) {
+  return _.map(Parser.parse(rule), (validation) => {
+    const ruleObject = validation.inline ? {rule: validation.inline, name: validation.name} : {rule: validation.name, args: validation.args};
+    return _.extend(ruleObject, _.pick(validation, 'message'));
+  });
+};
+
+/**
+ * tells whether a field is one of the given fields or
+ * a child of them, so that picking `users` also picks
+ * `users.*.email`.
+ *
+ * @param  {String} field
+ * @param  {Array} fields
+ *
+ * @return {Boolean}
+ *
+ * @private
+ */
+const _matchesField = function (field, fields) {
+  return _.some(fields, (name) => field === name || _.startsWith(field, `${name}.`));
+};
+
+/**
+ * keeps the rules of fields passing the given test, inside
+ * conditional groups as well.
+ *
+ * @param  {Object} rules flattened rules
+ * @param  {Function} keep
+ *
+ * @return {Object}
+ *
+ * @private
+ */
+const _filterRules = function (rules, keep) {
+  return _.transform(rules, (result, rule, field) => {
+    if (Parser.isCondition(rule)) {
+      result[field] = Parser.mapCondition(rule, (branch) => _filterRules(branch, keep));
+      return;
+    }
+    if (keep(field)) {
+      result[field] = rule;
+    }
+  }, {});
+};
+
+/**
+ * helpers deriving new rules from the flattened rules of a
+ * schema. The rules passed in are never mutated.
+ *
+ * @type {Object}
+ */
+const Compose = module.exports = {};
+
+/**
+ * adds fields to the rules, replacing the rules of fields
+ * defined on both.
+ *
+ * @param  {Object} rules flattened rules
+ * @param  {Object} extraRules
+ *
+ * @return {Object}
+ */
+Compose.extend = function (rules, extraRules) {
+  return _.extend({}, rules, Parser.flattenRules(extraRules));
+};
+
+/**
+ * combines two sets of rules, fields defined on both have
+ * to pass the rules of both.
+ *
+ * @param  {Object} rules flattened rules
+ * @param  {Object} otherRules
+ *
+ * @return {Object}
+ */
+Compose.merge = function (rules, otherRules) {
+  return _.transform(Parser.flattenRules(otherRules), (result, rule, field) => {
+    if (!_.has(result, [field])) {
+      result[field] = rule;
+      return;
+    }
+    if (Parser.isCondition(rule) || Parser.isCondition(result[field])) {
+      throw new Error(`Cannot merge rules of ${field}, conditional groups cannot be combined`);
+    }
+    result[field] = _toRuleObjects(result[field]).concat(_toRuleObjects(rule));
+  }, _.extend({}, rules));
+};
+
+/**
+ * keeps the given fields and their children only, conditional
+ * groups are kept with their branches picked the same way.
+ *
+ * @param  {Object} rules flattened rules
+ * @param  {String|Array} fields
+ *
+ * @return {Object}
+ */
+Compose.pick = function (rules, fields) {
+  fields = _.castArray(fields);
+  return _filterRules(rules, (field) => _matchesField(field, fields));
+};
+
+/**
+ * removes the given fields and their children.
+ *
+ * @param  {Object} rules flattened rules
+ * @param  {String|Array} fields
+ *
+ * @return {Object}
+ */
+Compose.omit = function (rules, fields) {
+  fields = _.castArray(fields);
+  return _filterRules(rules, (field) => !_matchesField(field, fields));
+};
+
+/**
+ * removes the required rule of every field, fields stay
+ * defined even when required was their only rule.
+ *
+ * @param  {Object} rules flattened rules
+ *
+ * @return {Object}
+ */
+Compose.partial = function (rules) {
+  return _.mapValues(rules, (rule) => {
+    if (Parser.isCondition(rule)) {
+      return Parser.mapCondition(rule, Compose.partial);
+    }
+    return _.reject(_toRuleObjects(rule), {rule: 'required'});
+  });
+};
@@ -3,68 +3,656 @@
 const Validations = require('../Validations');
 const Messages = require('../Messages');
 const _ = require('lodash');
-const Q = require('q');
 
-const ValidationEngine = module.exports = {};
+/**
+ * builds the context object passed to rules using the
+ * context signature and to inline rules.
+ *
+ * @param  {Object} data
+ * @param  {String} field
+ * @param  {String} message
+ * @param  {Array}  args
+ * @param  {Array}  validations
+ * @param  {Object} options
+ * @param  {Object} [validation] the validation being executed
+ *
+ * @return {Object}
+ *
+ * @private
+ */
+const _makeContext = function (data, field, message, args, validations, options, validation) {
+  const path = _.toPath(field);
+  return {
+    value: _.get(data, path),
+    field,
+    path,
+    data,
+    args,
+    message,
+    siblingRules: _(validations).without(validation).map((sibling) => _.pick(sibling, ['name', 'args'])).value(),
+    mode: _.get(options, 'mode'),
+    parent: path.length > 1 ? _.get(data, _.initial(path)) : data,
+    root: data,
+    options: options || {}
+  };
+};
+
+/**
+ * matches rule arguments referencing another field, `$`
+ * followed by a field path like `start_date` or
+ * `items.*.stock`. The path is the second group, an
+ * extra `$` in the first group escapes the reference.
+ *
+ * @type {RegExp}
+ */
+const referenceRegex = /^\$(\$?)([a-z_][\w-]*(?:\.(?:[\w-]+|\*))*)$/i;
 
 /**
- * validates a field with all assigned validations for that
- * field.
+ * tells whether a rule argument references another field,
+ * or is an escaped reference.
  *
- * @param  {Object}  data
- * @param  {String}  field
- * @param  {Object}  validations
- * @param  {Object}  messages
- * @param  {Boolean} [runAll]
+ * @param  {Mixed} arg
  *
- * @return {Promise<Array>}
+ * @return {Boolean}
+ *
+ * @private
  */
-ValidationEngine.validateField = function (data, field, validations, messages, runAll) {
-  const method = runAll ? 'allSettled' : 'all';
-  return Q[method](
-    _.map(validations, (validation) => {
-      return ValidationEngine.runValidationOnField(data, field, validation.name, messages, validation.args, validations);
-    })
-  );
+const _isReference = function (arg) {
+  return typeof (arg) === 'string' && referenceRegex.test(arg);
+};
+
+/**
+ * returns the path of a field referenced by a rule argument.
+ * Each `*` of the reference is bound to the segment of the
+ * field under validation at the same position, so that
+ * `items.*.stock` points to the stock of the item being
+ * validated.
+ *
+ * @param  {String} reference
+ * @param  {String} field
+ *
+ * @return {Array}
+ *
+ * @private
+ */
+const _referencePath = function (reference, field) {
+  const path = _.toPath(field);
+  return _.map(reference.split('.'), (segment, index) => segment === '*' ? path[index] : segment);
 };
 
 /**
- * runs a single validation on a given field.
+ * resolves rule arguments referencing other fields to the
+ * values of these fields. Other arguments, like a bare `$`
+ * or `$10`, are kept as they are and `$$start_date` is the
+ * literal `$start_date`.
  *
+ * @param  {Array}  args
  * @param  {Object} data
  * @param  {String} field
+ *
+ * @return {Array}
+ *
+ * @private
+ */
+const _resolveArgs = function (args, data, field) {
+  if (!_.some(args, _isReference)) {
+    return args;
+  }
+  return _.map(args, (arg) => {
+    const match = typeof (arg) === 'string' ? arg.match(referenceRegex) : null;
+    if (!match) {
+      return arg;
+    }
+    if (match[1]) {
+      return arg.slice(1);
+    }
+    return _.get(data, _referencePath(match[2], field));
+  });
+};
+
+/**
+ * tells whether a validation has to be skipped since one of
+ * its arguments references a field missing from the data,
+ * just like validations of missing fields. Rules with
+ * `allowsMissingReferences` receive `undefined` instead.
+ *
+ * @param  {Function} method
+ * @param  {Array}    args
+ * @param  {Object}   data
+ * @param  {String}   field
+ *
+ * @return {Boolean}
+ *
+ * @private
+ */
+const _referencesMissingField = function (method, args, data, field) {
+  if (method.allowsMissingReferences) {
+    return false;
+  }
+  return _.some(args, (arg) => {
+    const match = typeof (arg) === 'string' ? arg.match(referenceRegex) : null;
+    return !!match && !match[1] && _.isUndefined(_.get(data, _referencePath(match[2], field)));
+  });
+};
+
+/**
+ * makes the error object of a failed validation. Rules can
+ * fail with an object holding the message and extra details,
+ * which are kept on the error object.
+ *
+ * @param  {String} field
  * @param  {String} validation
- * @param  {Object} messages
- * @param  {Array}  [args]
+ * @param  {Mixed}  error
+ *
+ * @return {Object}
+ *
+ * @private
+ */
+const _makeError = function (field, validation, error) {
+  if (_.isPlainObject(error) && _.has(error, 'message')) {
+    return _.extend({}, error, {field, validation});
+  }
+  return {field, validation, message: error};
+};
+
+/**
+ * executes a rule returning a boolean, a promise or throwing
+ * and converts the outcome to the promise contract of
+ * validations. `false` fails the validation with the
+ * given message.
+ *
+ * @param  {Function} execute
+ * @param  {String} message
  *
  * @return {Promise}
+ *
+ * @private
+ */
+const _settleRuleResult = function (execute, message) {
+  return new Promise((resolve) => resolve(execute()))
+  .then((result) => {
+    if (result === false) {
+      throw message;
+    }
+    return 'validation passed';
+  });
+};
+
+/**
+ * converts the outcome of a promise to an outcome object
+ * just like the ones of `Promise.allSettled`.
+ *
+ * @param  {Promise} promise
+ *
+ * @return {Promise<Object>}
+ *
+ * @private
  */
-ValidationEngine.runValidationOnField = function (data, field, validation, messages, args, validations) {
-  const message = Messages.make(messages, field, validation, args);
-  const validationMethod = ValidationEngine.getValidationMethod(validation);
+const _settle = function (promise) {
+  return Promise.resolve(promise).then(
+    (value) => ({status: 'fulfilled', value}),
+    (reason) => ({status: 'rejected', reason})
+  );
+};
 
-  return Q.Promise((resolve, reject) => {
-    validationMethod(data, field, message, args, validations)
-    .then(resolve)
-    .catch((error) => {
-      reject({field, validation, message: error});
+/**
+ * waits for all promises to settle and resolves with an
+ * outcome object for each of them, just like
+ * `Promise.allSettled`.
+ *
+ * @param  {Array} promises
+ *
+ * @return {Promise<Array>}
+ *
+ * @private
+ */
+const _allSettled = function (promises) {
+  return Promise.all(_.map(promises, _settle));
+};
+
+/**
+ * runs validations one after the other in the declared
+ * order and stops after the first failure. Resolves with
+ * the outcome object of every executed validation.
+ *
+ * @param  {Array} validations
+ * @param  {Function} run
+ *
+ * @return {Promise<Array>}
+ *
+ * @private
+ */
+const _runSequentially = function (validations, run) {
+  return _.reduce(validations, (chain, validation) => {
+    return chain.then((results) => {
+      if (_.some(results, {status: 'rejected'})) {
+        return results;
+      }
+      return _settle(run(validation)).then((result) => results.concat(result));
     });
+  }, Promise.resolve([]));
+};
+
+/**
+ * tells whether the rules of a field should stop after
+ * the first failure.
+ *
+ * @param  {Array} validations
+ * @param  {Object} [options]
+ *
+ * @return {Boolean}
+ *
+ * @private
+ */
+const _shouldBail = function (validations, options) {
+  return !!_.get(options, 'bail') || _.some(validations, {name: 'bail'});
+};
+
+/**
+ * tells whether a value is a promise like object.
+ *
+ * @param  {Mixed} value
+ *
+ * @return {Boolean}
+ *
+ * @private
+ */
+const _isPromise = function (value) {
+  return !!value && typeof (value.then) === 'function';
+};
+
+/**
+ * tells whether a rule is defined as an async function,
+ * these rules can never run synchronously.
+ *
+ * @param  {Function} rule
+ *
+ * @return {Boolean}
+ *
+ * @private
+ */
+const _isAsyncFunction = function (rule) {
+  return _.get(rule, 'constructor.name') === 'AsyncFunction';
+};
+
+/**
+ * makes a validation method out of a function executing
+ * a rule returning a boolean, a promise or throwing. Unless
+ * the rule is an async function, the synchronous version
+ * is kept on the `sync` property of the method.
+ *
+ * @param  {Function} rule
+ * @param  {Function} execute
+ *
+ * @return {Function}
+ *
+ * @private
+ */
+const _makeMethod = function (rule, execute) {
+  const method = function (data, field, message, args, validations, options) {
+    return _settleRuleResult(() => execute(data, field, message, args, validations, options), message);
+  };
+
+  if (!_isAsyncFunction(rule)) {
+    method.sync = function (data, field, message, args, validations, options) {
+      const result = execute(data, field, message, args, validations, options);
+      if (result === false) {
+        throw message;
+      }
+      return result;
+    };
+  }
+
+  return method;
+};
+
+/**
+ * wraps a function defined inline inside a schema, so that
+ * it can be executed like any other validation. The
+ * function receives the field value and the context
+ * object.
+ *
+ * @param  {Function} rule
+ * @param  {Object} [validation]
+ *
+ * @return {Function}
+ *
+ * @private
+ */
+const _makeInlineMethod = function (rule, validation) {
+  return _makeMethod(rule, function (data, field, message, args, validations, options) {
+    const context = _makeContext(data, field, message, args, validations, options, validation);
+    return rule(context.value, context);
   });
 };
 
 /**
- * returns the validation method from the Validations
- * store or throws an error saying validation not
- * found.
+ * wraps a rule using the context signature, so that it
+ * can be executed like rules using the positional
+ * signature.
  *
- * @param  {String} validation
+ * @param  {Function} rule
+ * @param  {Object} [validation]
  *
  * @return {Function}
  *
- * @throws {Error} If validation is not found
+ * @private
  */
-ValidationEngine.getValidationMethod = function (validation) {
-  return _.get(Validations, _.camelCase(validation), function () {
-    throw new Error(`${validation} is not defined as a validation`);
+const _makeContextMethod = function (rule, validation) {
+  const method = _makeMethod(rule, function (data, field, message, args, validations, options) {
+    return rule(_makeContext(data, field, message, args, validations, options, validation));
   });
+  method.excludes = rule.excludes;
+  return method;
+};
+
+/**
+ * tells whether a rule uses the context signature. Rules
+ * accepting a single argument receive the context
+ * object, others receive positional arguments.
+ *
+ * @param  {Function} rule
+ *
+ * @return {Boolean}
+ *
+ * @private
+ */
+const _usesContext = function (rule) {
+  return rule.length === 1;
 };
+
+/**
+ * creates a validation engine bound to a given validations
+ * and messages store.
+ *
+ * @param  {Object} validationsStore
+ * @param  {Object} messagesStore
+ *
+ * @return {Object}
+ */
+const createEngine = function (validationsStore, messagesStore) {
+  const ValidationEngine = {};
+
+  /**
+   * executes a validation with references to other fields
+   * resolved and rejects with the error object on failure.
+   * Validations referencing missing fields are skipped.
+   *
+   * @param  {Object} validation
+   * @param  {Object} data
+   * @param  {String} field
+   * @param  {Object} messages
+   * @param  {Array}  validations
+   * @param  {Object} options
+   *
+   * @return {Promise}
+   *
+   * @private
+   */
+  const _runValidation = function (validation, data, field, messages, validations, options) {
+    const message = messagesStore.make(messages, field, validation.name, validation.args, validation.message);
+
+    const method = validation.method || ValidationEngine.getValidationMethod(validation.name);
+
+    if (_referencesMissingField(method, validation.args, data, field)) {
+      return Promise.resolve('validation skipped');
+    }
+
+    const args = _resolveArgs(validation.args, data, field);
+
+    return new Promise((resolve, reject) => {
+      method(data, field, message, args, validations, options)
+      .then(resolve)
+      .catch((error) => {
+        reject(_makeError(field, validation.name, error));
+      });
+    });
+  };
+
+  /**
+   * executes the synchronous version of a validation with
+   * references to other fields resolved and returns the
+   * error object on failure. Validations referencing
+   * missing fields are skipped.
+   *
+   * @param  {Object} validation
+   * @param  {Object} data
+   * @param  {String} field
+   * @param  {Object} messages
+   * @param  {Array}  validations
+   * @param  {Object} options
+   *
+   * @return {Object|Null}
+   *
+   * @throws {Error} If the validation returns a promise
+   *
+   * @private
+   */
+  const _runValidationSync = function (validation, data, field, messages, validations, options) {
+    const message = messagesStore.make(messages, field, validation.name, validation.args, validation.message);
+
+    if (_referencesMissingField(validation.method, validation.args, data, field)) {
+      return null;
+    }
+
+    let result = null;
+    try {
+      result = validation.method.sync(data, field, message, _resolveArgs(validation.args, data, field), validations, options);
+    } catch (error) {
+      return _makeError(field, validation.name, error);
+    }
+
+    if (_isPromise(result)) {
+      /**
+       * the promise is never used, a rejection must not
+       * end up unhandled.
+       */
+      result.catch(_.noop);
+      throw new Error(`${validation.name} returned a promise, async rules cannot be used for synchronous validation`);
+    }
+    return null;
+  };
+
+  /**
+   * validates a field with all assigned validations for that
+   * field. Validations run in parallel, unless the field
+   * has the bail rule or the bail option is set.
+   *
+   * @param  {Object}  data
+   * @param  {String}  field
+   * @param  {Object}  validations
+   * @param  {Object}  messages
+   * @param  {Boolean} [runAll]
+   * @param  {Object}  [options]
+   *
+   * @return {Promise<Array>}
+   */
+  ValidationEngine.validateField = function (data, field, validations, messages, runAll, options) {
+    const run = (validation) => _runValidation(validation, data, field, messages, validations, options);
+
+    if (!_shouldBail(validations, options)) {
+      const promises = _.map(validations, run);
+      return runAll ? _allSettled(promises) : Promise.all(promises);
+    }
+
+    const results = _runSequentially(validations, run);
+    return runAll ? results : results.then((outcomes) => {
+      const failure = _.find(outcomes, {status: 'rejected'});
+      if (failure) {
+        throw failure.reason;
+      }
+      return _.map(outcomes, 'value');
+    });
+  };
+
+  /**
+   * synchronously validates a field with all assigned compiled
+   * validations for that field. Returns the errors, which
+   * holds the first error only unless runAll is set and
+   * the field does not bail.
+   *
+   * @param  {Object}  data
+   * @param  {String}  field
+   * @param  {Array}   validations
+   * @param  {Object}  messages
+   * @param  {Boolean} [runAll]
+   * @param  {Object}  [options]
+   *
+   * @return {Array}
+   *
+   * @throws {Error} If any of the validations returns a promise
+   */
+  ValidationEngine.validateFieldSync = function (data, field, validations, messages, runAll, options) {
+    const errors = [];
+    const bail = _shouldBail(validations, options);
+    _.each(validations, (validation) => {
+      const error = _runValidationSync(validation, data, field, messages, validations, options);
+      if (error) {
+        errors.push(error);
+      }
+      return !error || (runAll && !bail);
+    });
+    return errors;
+  };
+
+  /**
+   * makes sure all compiled validations can be executed
+   * synchronously.
+   *
+   * @param  {Array} validations
+   *
+   * @return {void}
+   *
+   * @throws {Error} If any of the validations is async only
+   */
+  ValidationEngine.ensureSync = function (validations) {
+    const asyncValidation = _.find(validations, (validation) => typeof (_.get(validation, 'method.sync')) !== 'function');
+    if (asyncValidation) {
+      throw new Error(`${asyncValidation.name} is an async rule and cannot be used for synchronous validation`);
+    }
+  };
+
+  /**
+   * makes sure an adapter is defined for validations looking
+   * up values, like `exists` and `unique`. Synchronous
+   * validation needs an adapter declaring a synchronous
+   * lookup with `sync: true`.
+   *
+   * @param  {Array}   validations
+   * @param  {Object}  options
+   * @param  {Boolean} [sync]
+   *
+   * @return {void}
+   *
+   * @throws {Error} If the adapter is missing or cannot be used
+   */
+  ValidationEngine.ensureAdapter = function (validations, options, sync) {
+    const adapter = _.get(options, 'adapter');
+    _.each(validations, (validation) => {
+      if (!_.get(validation, 'method.usesAdapter')) {
+        return;
+      }
+      if (!adapter || typeof (adapter.lookup) !== 'function') {
+        throw new Error(`${validation.name} requires an adapter, register one using setAdapter`);
+      }
+      if (sync && adapter.sync !== true) {
+        throw new Error(`${validation.name} requires an adapter with a synchronous lookup for synchronous validation`);
+      }
+    });
+  };
+
+  /**
+   * tells whether a field is excluded from validation by one
+   * of its rules, like `sometimes` or `exclude_if`. Rules
+   * exclude fields using an `excludes` method.
+   *
+   * @param  {Object} data
+   * @param  {String} field
+   * @param  {Array}  validations
+   *
+   * @return {Boolean}
+   */
+  ValidationEngine.isExcluded = function (data, field, validations) {
+    return _.some(validations, (validation) => {
+      const excludes = _.get(validation, 'method.excludes');
+      return typeof (excludes) === 'function' && excludes(data, field, _resolveArgs(validation.args, data, field));
+    });
+  };
+
+  /**
+   * runs a single validation on a given field.
+   *
+   * @param  {Object} data
+   * @param  {String} field
+   * @param  {String} validation
+   * @param  {Object} messages
+   * @param  {Array}  [args]
+   * @param  {Array}  [validations]
+   * @param  {Object} [options]
+   *
+   * @return {Promise}
+   */
+  ValidationEngine.runValidationOnField = function (data, field, validation, messages, args, validations, options) {
+    const method = ValidationEngine.getValidationMethod(validation);
+    return _runValidation({name: validation, args, method}, data, field, messages, validations, options);
+  };
+
+  /**
+   * returns the validation method from the Validations
+   * store or throws an error saying validation not
+   * found.
+   *
+   * @param  {String} validation
+   *
+   * @return {Function}
+   *
+   * @throws {Error} If validation is not found
+   */
+  ValidationEngine.getValidationMethod = function (validation) {
+    const method = _.get(validationsStore, _.camelCase(validation), function () {
+      throw new Error(`${validation} is not defined as a validation`);
+    });
+    return _usesContext(method) ? _makeContextMethod(method) : method;
+  };
+
+  /**
+   * resolves the validation methods for a list of parsed
+   * validations, so that they are not looked up again
+   * on every run. Rules having a `checkArgs` method check
+   * their arguments here, unless they reference other fields.
+   *
+   * @param  {Array} validations
+   *
+   * @return {Array}
+   *
+   * @throws {Error} If any of the validations is not found or has invalid arguments
+   */
+  ValidationEngine.compileValidations = function (validations) {
+    return _.map(validations, (validation) => {
+      const compiled = _.extend({}, validation);
+      if (validation.inline) {
+        compiled.method = _makeInlineMethod(validation.inline, compiled);
+        return compiled;
+      }
+
+      const method = _.get(validationsStore, _.camelCase(validation.name));
+      if (typeof (method) !== 'function') {
+        throw new Error(`${validation.name} is not defined as a validation`);
+      }
+      if (typeof (method.checkArgs) === 'function' && !_.some(validation.args, _isReference)) {
+        method.checkArgs(validation.args);
+      }
+      compiled.method = _usesContext(method) ? _makeContextMethod(method, compiled) : method;
+      return compiled;
+    });
+  };
+
+  return ValidationEngine;
+};
+
+const ValidationEngine = module.exports = createEngine(Validations, Messages);
+
+/**
+ * @see createEngine
+ */
+ValidationEngine.create = createEngine;
@@ -4,139 +4,884 @@ const _ = require('lodash');
 const Parser = require('../Parser');
 const Validations = require('../Validations');
 const ValidationEngine = require('./engine');
+const Compose = require('./compose');
 const Messages = require('../Messages');
 const Modes = require('../Modes');
-const Q = require('q');
+const Raw = require('../Raw');
+const Casts = require('../Casts');
+
+/**
+ * pristine copies of the validations and raw stores, taken
+ * before anyone extends them. Isolated validators start
+ * from these copies.
+ *
+ * @type {Object}
+ *
+ * @private
+ */
+const builtInValidations = _.clone(Validations);
+const builtInRaw = _.clone(Raw);
 
 /**
  * map all parsedRules into a validation messages to be executed
- * using Q.
+ * as promises.
  *
+ * @param   {Object} engine
  * @param   {Object} data
  * @param   {Object} rules
  * @param   {Object} messages
+ * @param   {Boolean} runAll
+ * @param   {Object} options
  *
  * @return  {Array}
  *
  * @private
  */
-function _mapValidations (data, rules, messages, runAll) {
-  return _.map(rules, (validations, field) => ValidationEngine.validateField(data, field, validations, messages, runAll));
+function _mapValidations (engine, data, rules, messages, runAll, options) {
+  return _.map(rules, (validations, field) => engine.validateField(data, field, validations, messages, runAll, options));
 }
 
 /**
- * it manually maps all the errors returned by Q.allSettled
+ * it manually maps all the errors of the settled validations
  * and throws them as an array only if there are errors.
  *
  * @param  {Array} results
+ * @param  {Array} [unknownErrors] errors of unknown fields
  *
  * @return {void}
  * @throws {Error} If promise resolves to errors or a single error
  *
  * @private
  */
-function _settleAllPromises (results) {
+function _settleAllPromises (results, unknownErrors) {
   const errors = _(results)
   .flatten()
   .map((result) => {
-    return result.state === 'rejected' ? result.reason : null;
+    return result.status === 'rejected' ? result.reason : null;
   })
   .compact()
+  .concat(unknownErrors || [])
   .value();
   if (_.size(errors)) {
     throw errors;
   }
 }
 
-const Validator = module.exports = {};
-
 /**
- * validate a set of async validations mapped as field and rule
- * called rules.
+ * synchronously runs all compiled rules and throws the errors
+ * as an array only if there are errors.
  *
+ * @param  {Object} engine
  * @param  {Object} data
  * @param  {Object} rules
  * @param  {Object} messages
+ * @param  {Boolean} runAll
+ * @param  {Object} options
+ * @param  {Array} [unknownErrors] errors of unknown fields
+ *
+ * @return {void}
+ * @throws {Array} If any of the validations fails
+ *
+ * @private
+ */
+function _runValidationsSync (engine, data, rules, messages, runAll, options, unknownErrors) {
+  const errors = [];
+  _.each(rules, (validations, field) => {
+    errors.push.apply(errors, engine.validateFieldSync(data, field, validations, messages, runAll, options));
+    return runAll || !errors.length;
+  });
+  errors.push.apply(errors, unknownErrors || []);
+  if (_.size(errors)) {
+    throw errors;
+  }
+}
+
+/**
+ * returns the compiled rules to run for the given data,
+ * picking the matching branch of every conditional
+ * group. Rules of a branch replace rules defined
+ * outside of the group for the same field.
  *
- * @return {Object|Array}
+ * @param  {Object} compiledRules
+ * @param  {Object} data
+ *
+ * @return {Object}
+ *
+ * @private
  */
+function _resolveRules (compiledRules, data) {
+  if (!compiledRules.conditions.length) {
+    return compiledRules.rules;
+  }
+  return _.reduce(compiledRules.conditions, (result, condition) => {
+    const branch = Parser.matchesCondition(condition.rule, data) ? condition.ifTrue : condition.ifFalse;
+    return _.extend(result, _resolveRules(branch, data));
+  }, _.extend({}, compiledRules.rules));
+}
 
-Validator.validate = function (data, rules, messages) {
-  messages = messages || {};
-  const transformedRules = Parser.transformRules(data, rules);
-  const validations = _mapValidations(data, transformedRules, messages);
+/**
+ * casts the value of a field using the first type rule
+ * defined on it. Empty values are kept as they are.
+ *
+ * @param  {Mixed} value
+ * @param  {Array} validations
+ *
+ * @return {Mixed}
+ *
+ * @private
+ */
+function _castValue (value, validations) {
+  if (_.isNil(value) || value === '') {
+    return value;
+  }
+  const validation = _.find(validations, (validation) => _.has(Casts, _.camelCase(validation.name)));
+  return validation ? Casts[_.camelCase(validation.name)](value, validation.args) : value;
+}
 
-  return Q.Promise((resolve, reject) => {
-    Q.all(validations)
-    .then(() => resolve(data))
-    .catch((error) => reject([error]));
+/**
+ * returns a lookup of all fields having rules defined on
+ * their children, for example `user` for `user.email`.
+ *
+ * @param  {Object} rules expanded rules
+ *
+ * @return {Object}
+ *
+ * @private
+ */
+function _parentFields (rules) {
+  const parents = Object.create(null);
+  _.each(rules, (validations, field) => {
+    const path = _.toPath(field);
+    _.each(_.range(1, path.length), (length) => {
+      parents[path.slice(0, length).join('.')] = true;
+    });
   });
-};
+  return parents;
+}
 
 /**
- * Just like validate but waits for all the validations to occur
- * and returns an array of errors.
+ * returns the paths of all fields having rules defined on
+ * their children, computed from the field names of the
+ * rules before array expressions are expanded. So that
+ * `users` is a parent of `users.*.email` even when
+ * `users` is an empty array.
  *
- * @param  {Object} data
- * @param  {Object} rules
- * @param  {Object} messages
+ * @param  {Object} rules rules before expansion
+ *
+ * @return {Array}
  *
- * @return {Object|Array}
+ * @private
  */
-Validator.validateAll = function (data, rules, messages) {
-  messages = messages || {};
-  const transformedRules = Parser.transformRules(data, rules);
-  const validations = _mapValidations(data, transformedRules, messages, true);
+function _parentPaths (rules) {
+  return _(rules)
+  .keys()
+  .flatMap((field) => {
+    const path = _.toPath(field);
+    return _.map(_.range(1, path.length), (length) => path.slice(0, length));
+  })
+  .uniqWith(_.isEqual)
+  .value();
+}
 
-  return Q.Promise((resolve, reject) => {
-    Q.all(validations)
-    .then(_settleAllPromises)
-    .then(() => resolve(data))
-    .catch(reject);
+/**
+ * tells whether a field matches one of the given paths,
+ * where `*` segments match any key.
+ *
+ * @param  {String} field
+ * @param  {Array} paths
+ *
+ * @return {Boolean}
+ *
+ * @private
+ */
+function _matchesPath (field, paths) {
+  const segments = _.toPath(field);
+  return _.some(paths, (path) => {
+    return path.length === segments.length && _.every(path, (segment, index) => segment === '*' || segment === segments[index]);
   });
-};
+}
 
 /**
- * exposes an interface to extend the validator and add
- * new methods to it.
+ * returns the keys of the value at a given field, which
+ * are neither defined inside the rules nor parents of
+ * fields defined inside the rules. Keys being parents
+ * are checked recursively.
  *
- * @param  {String} name
- * @param  {Function} method
- * @param  {String} message
+ * @param  {Object} data
+ * @param  {Object} rules expanded rules
+ * @param  {Array} parents
+ * @param  {String} [field] checks the data itself when empty
  *
- * @return {void}
+ * @return {Array}
  *
- * @throws {Error} If method is not a function
+ * @private
  */
-Validator.extend = function (name, method, message) {
-  if (typeof (method) !== 'function') {
-    throw new Error('Invalid arguments, extend expects a method to execute');
+function _unknownFields (data, rules, parents, field) {
+  const value = field ? _.get(data, field) : data;
+  if (!_.isObjectLike(value)) {
+    return [];
   }
-  Validations[name] = method;
-  Messages.set(_.snakeCase(name), message);
-};
-
-Validator.is = require('../Raw');
+  return _.flatMap(_.keys(value), (key) => {
+    const child = field ? `${field}.${key}` : key;
+    if (_matchesPath(child, parents)) {
+      return _unknownFields(data, rules, parents, child);
+    }
+    return _.has(rules, [child]) ? [] : [child];
+  });
+}
 
 /**
- * exposes an interface to extend the raw validator and add
- * own methods to it.
+ * returns all fields of the data not covered by the rules,
+ * at the root when the rejectUnknown option is set and
+ * inside every field validated using `object:strict`.
  *
- * @param  {String} name
- * @param  {Function} method
+ * @param  {Object} data
+ * @param  {Object} rules expanded rules
+ * @param  {Object} resolvedRules rules before expansion
+ * @param  {Object} options
  *
- * @return {void}
+ * @return {Array}
  *
- * @throws {Error} If method is not a function
+ * @private
  */
-Validator.is.extend = function (name, method) {
-  if (typeof (method) !== 'function') {
-    throw new Error('Invalid arguments, is.extends expects 2nd parameter as a function');
+function _findUnknownFields (data, rules, resolvedRules, options) {
+  const strictFields = _(rules)
+  .pickBy((validations) => _.some(validations, (validation) => validation.name === 'object' && validation.args[0] === 'strict'))
+  .keys()
+  .value();
+
+  if (!options.rejectUnknown && !strictFields.length) {
+    return [];
   }
-  Validator.is[name] = method;
+
+  const parents = _parentPaths(resolvedRules);
+  const roots = options.rejectUnknown ? [''].concat(strictFields) : strictFields;
+  return _(roots)
+  .flatMap((field) => _unknownFields(data, rules, parents, field))
+  .uniq()
+  .value();
+}
+
+/**
+ * returns a new object holding only the fields defined
+ * inside the expanded rules, with values cast by their
+ * type rules. Fields having rules defined on their
+ * children only hold those children.
+ *
+ * @param  {Object} data
+ * @param  {Object} rules
+ *
+ * @return {Object}
+ *
+ * @private
+ */
+function _pickValidated (data, rules) {
+  const parents = _parentFields(rules);
+  return _.transform(rules, (result, validations, field) => {
+    if (!_.has(data, field)) {
+      return;
+    }
+    const value = _.get(data, field);
+    if (parents[field] && _.isObjectLike(value)) {
+      if (!_.has(result, field)) {
+        _.set(result, field, _.isArray(value) ? [] : {});
+      }
+      return;
+    }
+    _.set(result, field, _castValue(value, validations));
+  }, {});
+}
+
+/**
+ * returns the value validations resolve with, which is
+ * the data itself unless the validated option is set.
+ *
+ * @param  {Object} data
+ * @param  {Object} rules expanded rules
+ * @param  {Object} options
+ *
+ * @return {Object}
+ *
+ * @private
+ */
+function _makeOutput (data, rules, options) {
+  return options.validated ? _pickValidated(data, rules) : data;
+}
+
+/**
+ * merges options passed to a single validation call with
+ * the defaults of the validator. The mode, bail and adapter
+ * set on the validator are only used when not passed.
+ *
+ * @param  {Object} options
+ * @param  {Object} modesStore
+ * @param  {Boolean} bail
+ * @param  {Object} [adapter]
+ *
+ * @return {Object}
+ *
+ * @private
+ */
+function _makeOptions (options, modesStore, bail, adapter) {
+  return _.extend({}, options, {
+    mode: _.get(options, 'mode') || modesStore.get(),
+    bail: _.get(options, 'bail', bail),
+    adapter: _.get(options, 'adapter') || adapter
+  });
+}
+
+/**
+ * creates a validator working on top of the given stores.
+ *
+ * @param  {Object} validationsStore
+ * @param  {Object} messagesStore
+ * @param  {Object} modesStore
+ * @param  {Object} rawStore
+ *
+ * @return {Object}
+ *
+ * @private
+ */
+const createValidator = function (validationsStore, messagesStore, modesStore, rawStore) {
+  const engine = ValidationEngine.create(validationsStore, messagesStore);
+  let bail = false;
+  let adapter = null;
+
+  const Validator = {};
+
+  /**
+   * returns an error object for every unknown field of
+   * the data.
+   *
+   * @param  {Object} data
+   * @param  {Object} rules expanded rules
+   * @param  {Object} resolvedRules rules before expansion
+   * @param  {Object} messages
+   * @param  {Object} options
+   *
+   * @return {Array}
+   *
+   * @private
+   */
+  const _unknownFieldErrors = function (data, rules, resolvedRules, messages, options) {
+    return _.map(_findUnknownFields(data, rules, resolvedRules, options), (field) => {
+      return {field, validation: 'unknown_field', message: messagesStore.make(messages, field, 'unknown_field', [])};
+    });
+  };
+
+  /**
+   * compiles flattened rules, conditional groups are kept
+   * aside with both of their branches compiled.
+   *
+   * @param  {Object} rules
+   *
+   * @return {Object}
+   *
+   * @throws {Error} If any of the rules is not defined as a validation
+   *
+   * @private
+   */
+  const _compileRules = function (rules) {
+    return {
+      rules: _.mapValues(Parser.parseRules(_.omitBy(rules, Parser.isCondition)), (validations) => engine.compileValidations(validations)),
+      conditions: _.map(_.pickBy(rules, Parser.isCondition), (rule) => {
+        return {rule, ifTrue: _compileRules(rule.rulesIfTrue), ifFalse: _compileRules(rule.rulesIfFalse)};
+      })
+    };
+  };
+
+  /**
+   * makes sure all rules of compiled rules, including both
+   * branches of conditional groups, can run synchronously.
+   *
+   * @param  {Object} compiledRules
+   *
+   * @return {void}
+   *
+   * @throws {Error} If any of the validations is async only
+   *
+   * @private
+   */
+  const _ensureSync = function (compiledRules) {
+    _.each(compiledRules.rules, (validations) => engine.ensureSync(validations));
+    _.each(compiledRules.conditions, (condition) => {
+      _ensureSync(condition.ifTrue);
+      _ensureSync(condition.ifFalse);
+    });
+  };
+
+  /**
+   * makes sure rules of compiled rules looking up values,
+   * including both branches of conditional groups, have
+   * an adapter they can use.
+   *
+   * @param  {Object} compiledRules
+   * @param  {Object} options
+   * @param  {Boolean} [sync]
+   *
+   * @return {void}
+   *
+   * @throws {Error} If the adapter is missing or cannot be used
+   *
+   * @private
+   */
+  const _ensureAdapter = function (compiledRules, options, sync) {
+    _.each(compiledRules.rules, (validations) => engine.ensureAdapter(validations, options, sync));
+    _.each(compiledRules.conditions, (condition) => {
+      _ensureAdapter(condition.ifTrue, options, sync);
+      _ensureAdapter(condition.ifFalse, options, sync);
+    });
+  };
+
+  /**
+   * removes fields excluded by their rules, like `sometimes`,
+   * from the expanded rules.
+   *
+   * @param  {Object} data
+   * @param  {Object} rules expanded rules
+   *
+   * @return {Object}
+   *
+   * @private
+   */
+  const _withoutExcluded = function (data, rules) {
+    return _.omitBy(rules, (validations, field) => engine.isExcluded(data, field, validations));
+  };
+
+  /**
+   * compiles the rules and runs the callback with the
+   * compiled schema. Compile errors are returned as
+   * a rejected promise.
+   *
+   * @param  {Object} rules
+   * @param  {Object} messages
+   * @param  {Function} callback
+   *
+   * @return {Promise}
+   *
+   * @private
+   */
+  const _compileAndRun = function (rules, messages, callback) {
+    let schema = null;
+    try {
+      schema = Validator.compile(rules, messages);
+    } catch (error) {
+      return Promise.reject([error]);
+    }
+    return callback(schema);
+  };
+
+  /**
+   * compiles a schema once, so that it can be used to validate
+   * multiple data objects. Rule strings are parsed and
+   * validation methods are resolved at compile time,
+   * only array expressions are expanded per run.
+   *
+   * @param  {Object} rules
+   * @param  {Object} [messages]
+   * @param  {Object} [schemaOptions] default options of every run
+   *
+   * @return {Object}
+   *
+   * @throws {Error} If any of the rules is not defined as a validation
+   */
+  Validator.compile = function (rules, messages, schemaOptions) {
+    messages = messages || {};
+    const sourceRules = Parser.flattenRules(rules);
+    const compiledRules = _compileRules(sourceRules);
+
+    const schema = {};
+
+    /**
+     * flattened rules and messages the schema was compiled
+     * from.
+     *
+     * @type {Object}
+     */
+    schema.rules = sourceRules;
+    schema.messages = messages;
+
+    /**
+     * compiles a new schema from the rules of this schema,
+     * keeping its messages and options.
+     *
+     * @param  {Object} rules
+     * @param  {Object} [extraMessages]
+     *
+     * @return {Object}
+     *
+     * @private
+     */
+    const _derive = function (rules, extraMessages) {
+      return Validator.compile(rules, _.extend({}, messages, extraMessages), schemaOptions);
+    };
+
+    /**
+     * returns a new schema with the given fields added,
+     * replacing the rules of existing fields.
+     *
+     * @param  {Object} rules
+     * @param  {Object} [extraMessages]
+     *
+     * @return {Object}
+     */
+    schema.extend = function (rules, extraMessages) {
+      return _derive(Compose.extend(sourceRules, rules), extraMessages);
+    };
+
+    /**
+     * returns a new schema combining this schema with another
+     * schema or rules, fields defined on both have to pass
+     * the rules of both.
+     *
+     * @param  {Object} other compiled schema or rules
+     *
+     * @return {Object}
+     */
+    schema.merge = function (other) {
+      const isSchema = typeof (other.validate) === 'function';
+      return _derive(Compose.merge(sourceRules, isSchema ? other.rules : other), isSchema ? other.messages : {});
+    };
+
+    /**
+     * returns a new schema with the given fields and their
+     * children only.
+     *
+     * @param  {String|Array} fields
+     *
+     * @return {Object}
+     */
+    schema.pick = function (fields) {
+      return _derive(Compose.pick(sourceRules, fields));
+    };
+
+    /**
+     * returns a new schema without the given fields and their
+     * children.
+     *
+     * @param  {String|Array} fields
+     *
+     * @return {Object}
+     */
+    schema.omit = function (fields) {
+      return _derive(Compose.omit(sourceRules, fields));
+    };
+
+    /**
+     * returns a new schema without the required rule, useful
+     * to validate partial updates.
+     *
+     * @return {Object}
+     */
+    schema.partial = function () {
+      return _derive(Compose.partial(sourceRules));
+    };
+
+    /**
+     * validates data against the compiled schema and stops
+     * on the first error.
+     *
+     * @param  {Object} data
+     * @param  {Object} [options]
+     *
+     * @return {Object|Array}
+     */
+    schema.validate = function (data, options) {
+      const validationOptions = _makeOptions(_.extend({}, schemaOptions, options), modesStore, bail, adapter);
+      let resolvedRules = null;
+      try {
+        _ensureAdapter(compiledRules, validationOptions);
+        resolvedRules = _resolveRules(compiledRules, data);
+      } catch (error) {
+        return Promise.reject([error]);
+      }
+      const transformedRules = Parser.expandRules(data, resolvedRules);
+      const unknownErrors = _unknownFieldErrors(data, transformedRules, resolvedRules, messages, validationOptions);
+      const activeRules = _withoutExcluded(data, transformedRules);
+      if (unknownErrors.length) {
+        return Promise.reject([unknownErrors[0]]);
+      }
+      const validations = _mapValidations(engine, data, activeRules, messages, false, validationOptions);
+
+      return Promise.all(validations)
+      .then(() => _makeOutput(data, activeRules, validationOptions))
+      .catch((error) => {
+        throw [error];
+      });
+    };
+
+    /**
+     * validates data against the compiled schema and returns
+     * all the errors.
+     *
+     * @param  {Object} data
+     * @param  {Object} [options]
+     *
+     * @return {Object|Array}
+     */
+    schema.validateAll = function (data, options) {
+      const validationOptions = _makeOptions(_.extend({}, schemaOptions, options), modesStore, bail, adapter);
+      let resolvedRules = null;
+      try {
+        _ensureAdapter(compiledRules, validationOptions);
+        resolvedRules = _resolveRules(compiledRules, data);
+      } catch (error) {
+        return Promise.reject([error]);
+      }
+      const transformedRules = Parser.expandRules(data, resolvedRules);
+      const unknownErrors = _unknownFieldErrors(data, transformedRules, resolvedRules, messages, validationOptions);
+      const activeRules = _withoutExcluded(data, transformedRules);
+      const validations = _mapValidations(engine, data, activeRules, messages, true, validationOptions);
+
+      return Promise.all(validations)
+      .then((results) => _settleAllPromises(results, unknownErrors))
+      .then(() => _makeOutput(data, activeRules, validationOptions));
+    };
+
+    /**
+     * synchronously validates data against the compiled schema
+     * and stops on the first error.
+     *
+     * @param  {Object} data
+     * @param  {Object} [options]
+     *
+     * @return {Object}
+     *
+     * @throws {Array} If validation fails
+     * @throws {Error} If the schema contains an async rule, a rule
+     * looking up values without an adapter it can use, or a
+     * condition throwing an error
+     */
+    schema.validateSync = function (data, options) {
+      _ensureSync(compiledRules);
+      const validationOptions = _makeOptions(_.extend({}, schemaOptions, options), modesStore, bail, adapter);
+      _ensureAdapter(compiledRules, validationOptions, true);
+      const resolvedRules = _resolveRules(compiledRules, data);
+      const transformedRules = Parser.expandRules(data, resolvedRules);
+      const unknownErrors = _unknownFieldErrors(data, transformedRules, resolvedRules, messages, validationOptions);
+      const activeRules = _withoutExcluded(data, transformedRules);
+      if (unknownErrors.length) {
+        throw [unknownErrors[0]];
+      }
+      _runValidationsSync(engine, data, activeRules, messages, false, validationOptions);
+      return _makeOutput(data, activeRules, validationOptions);
+    };
+
+    /**
+     * synchronously validates data against the compiled schema
+     * and throws all the errors.
+     *
+     * @param  {Object} data
+     * @param  {Object} [options]
+     *
+     * @return {Object}
+     *
+     * @throws {Array} If validation fails
+     * @throws {Error} If the schema contains an async rule, a rule
+     * looking up values without an adapter it can use, or a
+     * condition throwing an error
+     */
+    schema.validateAllSync = function (data, options) {
+      _ensureSync(compiledRules);
+      const validationOptions = _makeOptions(_.extend({}, schemaOptions, options), modesStore, bail, adapter);
+      _ensureAdapter(compiledRules, validationOptions, true);
+      const resolvedRules = _resolveRules(compiledRules, data);
+      const transformedRules = Parser.expandRules(data, resolvedRules);
+      const unknownErrors = _unknownFieldErrors(data, transformedRules, resolvedRules, messages, validationOptions);
+      const activeRules = _withoutExcluded(data, transformedRules);
+      _runValidationsSync(engine, data, activeRules, messages, true, validationOptions, unknownErrors);
+      return _makeOutput(data, activeRules, validationOptions);
+    };
+
+    return schema;
+  };
+
+  /**
+   * validate a set of async validations mapped as field and rule
+   * called rules.
+   *
+   * @param  {Object} data
+   * @param  {Object} rules
+   * @param  {Object} [messages]
+   * @param  {Object} [options]
+   * @param  {String} [options.mode]
+   * @param  {Boolean} [options.bail]
+   * @param  {Boolean} [options.validated] resolve with the validated fields only
+   * @param  {Boolean} [options.rejectUnknown] fail on fields not defined inside the rules
+   *
+   * @return {Object|Array}
+   */
+  Validator.validate = function (data, rules, messages, options) {
+    return _compileAndRun(rules, messages, (schema) => schema.validate(data, options));
+  };
+
+  /**
+   * Just like validate but waits for all the validations to occur
+   * and returns an array of errors.
+   *
+   * @param  {Object} data
+   * @param  {Object} rules
+   * @param  {Object} [messages]
+   * @param  {Object} [options]
+   * @param  {String} [options.mode]
+   * @param  {Boolean} [options.bail]
+   * @param  {Boolean} [options.validated] resolve with the validated fields only
+   * @param  {Boolean} [options.rejectUnknown] fail on fields not defined inside the rules
+   *
+   * @return {Object|Array}
+   */
+  Validator.validateAll = function (data, rules, messages, options) {
+    return _compileAndRun(rules, messages, (schema) => schema.validateAll(data, options));
+  };
+
+  /**
+   * synchronous version of validate, returns the data or
+   * throws an array with the first error.
+   *
+   * @param  {Object} data
+   * @param  {Object} rules
+   * @param  {Object} [messages]
+   * @param  {Object} [options]
+   *
+   * @return {Object}
+   *
+   * @throws {Array} If validation fails
+   * @throws {Error} If rules are invalid or contain an async rule
+   */
+  Validator.validateSync = function (data, rules, messages, options) {
+    return Validator.compile(rules, messages).validateSync(data, options);
+  };
+
+  /**
+   * synchronous version of validateAll, returns the data or
+   * throws an array of errors.
+   *
+   * @param  {Object} data
+   * @param  {Object} rules
+   * @param  {Object} [messages]
+   * @param  {Object} [options]
+   *
+   * @return {Object}
+   *
+   * @throws {Array} If validation fails
+   * @throws {Error} If rules are invalid or contain an async rule
+   */
+  Validator.validateAllSync = function (data, rules, messages, options) {
+    return Validator.compile(rules, messages).validateAllSync(data, options);
+  };
+
+  /**
+   * exposes an interface to extend the validator and add
+   * new methods to it.
+   *
+   * @param  {String} name
+   * @param  {Function} method
+   * @param  {String} message
+   *
+   * @return {void}
+   *
+   * @throws {Error} If method is not a function
+   */
+  Validator.extend = function (name, method, message) {
+    if (typeof (method) !== 'function') {
+      throw new Error('Invalid arguments, extend expects a method to execute');
+    }
+    validationsStore[name] = method;
+    messagesStore.set(_.snakeCase(name), message);
+  };
+
+  Validator.is = rawStore;
+
+  /**
+   * exposes an interface to extend the raw validator and add
+   * own methods to it.
+   *
+   * @param  {String} name
+   * @param  {Function} method
+   *
+   * @return {void}
+   *
+   * @throws {Error} If method is not a function
+   */
+  Validator.is.extend = function (name, method) {
+    if (typeof (method) !== 'function') {
+      throw new Error('Invalid arguments, is.extends expects 2nd parameter as a function');
+    }
+    Validator.is[name] = method;
+  };
+
+  /**
+   * @see Parser.when
+   */
+  Validator.when = Parser.when;
+
+  /**
+   * @see Modes.set
+   */
+  Validator.setMode = modesStore.set;
+
+  /**
+   * sets whether rules of every field should stop after the
+   * first failure, when no bail option is passed.
+   *
+   * @param  {Boolean} value
+   *
+   * @return {void}
+   */
+  Validator.setBail = function (value) {
+    bail = !!value;
+  };
+
+  /**
+   * sets the adapter used by the `exists` and `unique` rules
+   * to look up values, when no adapter option is passed.
+   *
+   * @param  {Object} value
+   *
+   * @return {void}
+   *
+   * @throws {Error} If adapter has no lookup method
+   */
+  Validator.setAdapter = function (value) {
+    if (!_.isNil(value) && typeof (value.lookup) !== 'function') {
+      throw new Error('Invalid arguments, setAdapter expects an adapter with a lookup method');
+    }
+    adapter = value || null;
+  };
+
+  return Validator;
 };
 
+const Validator = module.exports = createValidator(Validations, Messages, Modes, Raw);
+
 /**
- * @see Modes.set
+ * creates a new validator with its own validations, messages
+ * and modes store. Rules and messages registered on the
+ * new validator are not visible to any other validator.
+ *
+ * @param  {Object} [options]
+ * @param  {String} [options.mode]
+ * @param  {Boolean} [options.bail]
+ * @param  {Object} [options.adapter]
+ * @param  {Object} [options.messages]
+ * @param  {Object} [options.rules]
+ *
+ * @return {Object}
  */
-Validator.setMode = Modes.set;
+Validator.create = function (options) {
+  options = options || {};
+  const validator = createValidator(
+    _.clone(builtInValidations),
+    Messages.create(options.messages),
+    Modes.create(options.mode),
+    _.clone(builtInRaw)
+  );
+  validator.setBail(options.bail);
+  validator.setAdapter(options.adapter);
+
+  _.each(options.rules, (method, name) => {
+    validator.extend(name, method, _.get(options.messages, _.snakeCase(name)));
+  });
+
+  return validator;
+};
@@ -0,0 +1,36 @@
+'use strict';
+
+const Adapters = require('../src/Adapters');
+const chai = require('chai');
+const expect = chai.expect;
+
+describe('Adapters', function () {
+  describe('memory', function () {
+    it('should count records having the value inside a column', function () {
+      const adapter = Adapters.memory({users: [{id: 1, email: 'virk@adonisjs.com'}, {id: 2, email: 'foo@bar.com'}]});
+      expect(adapter.lookup('users', 'email', 'virk@adonisjs.com')).to.equal(1);
+      expect(adapter.lookup('users', 'email', 'baz@bar.com')).to.equal(0);
+    });
+
+    it('should compare values of rule strings with stored values as strings', function () {
+      const adapter = Adapters.memory({users: [{id: 1}]});
+      expect(adapter.lookup('users', 'id', '1')).to.equal(1);
+    });
+
+    it('should not count the record to ignore', function () {
+      const adapter = Adapters.memory({users: [{id: 1, email: 'virk@adonisjs.com'}, {uid: 2, email: 'virk@adonisjs.com'}]});
+      expect(adapter.lookup('users', 'email', 'virk@adonisjs.com', {except: '1', idColumn: 'id'})).to.equal(1);
+      expect(adapter.lookup('users', 'email', 'virk@adonisjs.com', {except: 2, idColumn: 'uid'})).to.equal(1);
+    });
+
+    it('should return zero for unknown tables', function () {
+      expect(Adapters.memory().lookup('users', 'email', 'virk@adonisjs.com')).to.equal(0);
+    });
+
+    it('should see records added to the tables later on', function () {
+      const adapter = Adapters.memory({users: []});
+      adapter.tables.users.push({email: 'virk@adonisjs.com'});
+      expect(adapter.lookup('users', 'email', 'virk@adonisjs.com')).to.equal(1);
+    });
+  });
+});
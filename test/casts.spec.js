@@ -0,0 +1,41 @@
+'use strict';
+
+const Casts = require('../src/Casts');
+const chai = require('chai');
+const expect = chai.expect;
+
+describe('Casts', function () {
+  it('should cast numeric strings to numbers', function () {
+    expect(Casts.numeric('22.5')).to.equal(22.5);
+    expect(Casts.integer('22')).to.equal(22);
+  });
+
+  it('should return non numeric values as they are', function () {
+    expect(Casts.numeric('foo')).to.equal('foo');
+  });
+
+  it('should cast boolean like values to booleans', function () {
+    expect(Casts.boolean('1')).to.equal(true);
+    expect(Casts.boolean('true')).to.equal(true);
+    expect(Casts.boolean(0)).to.equal(false);
+    expect(Casts.boolean('false')).to.equal(false);
+    expect(Casts.boolean(true)).to.equal(true);
+  });
+
+  it('should cast date strings to dates', function () {
+    const date = Casts.date('2016-11-20');
+    expect(date).to.be.an.instanceof(Date);
+    expect(date.getDate()).to.equal(20);
+  });
+
+  it('should cast date strings of a given format to dates', function () {
+    const date = Casts.dateFormat('20-11-2016', ['DD-MM-YYYY']);
+    expect(date).to.be.an.instanceof(Date);
+    expect(date.getMonth()).to.equal(10);
+  });
+
+  it('should parse json strings', function () {
+    expect(Casts.json('{"name":"virk"}')).deep.equal({name: 'virk'});
+    expect(Casts.json({name: 'virk'})).deep.equal({name: 'virk'});
+  });
+});
@@ -10,6 +10,17 @@ describe('Messages', function () {
     expect(message).to.equal('required validation failed on email');
   });
 
+  it('should return default messages defined for rules', function () {
+    expect(Messages.make({}, 'pin', 'digits', ['4'])).to.equal('pin must have 4 digits');
+    expect(Messages.make({}, 'otp', 'digits_between', ['4', '6'])).to.equal('otp must have between 4 and 6 digits');
+    expect(Messages.make({}, 'price', 'multiple_of', ['0.05'])).to.equal('price must be a multiple of 0.05');
+  });
+
+  it('should prefer custom messages over default messages of rules', function () {
+    expect(Messages.make({digits: 'invalid {{field}}'}, 'pin', 'digits', ['4'])).to.equal('invalid pin');
+    expect(Messages.create({digits: 'wrong pin'}).make({}, 'pin', 'digits', ['4'])).to.equal('wrong pin');
+  });
+
   it('should return message defined for rule', function () {
     const message = Messages.make({required: 'this is required'}, 'email', 'required');
     expect(message).to.equal('this is required');
@@ -67,4 +78,31 @@ describe('Messages', function () {
     const message = Messages.make({}, 'username', 'required', []);
     expect(message).to.equal('I need you');
   });
+
+  it('should keep messages set on an instance isolated from the default store', function () {
+    const messages = Messages.create({required: 'instance required'});
+    messages.set('email', 'instance email');
+
+    expect(messages.make({}, 'username', 'required', [])).to.equal('instance required');
+    expect(messages.make({}, 'username', 'email', [])).to.equal('instance email');
+    expect(Messages.make({}, 'username', 'email', [])).to.equal('email validation failed on username');
+  });
+
+  it('should find messages defined on array expressions for multi level fields', function () {
+    const messages = {
+      'orders.*.items.*.sku.required': 'sku is required',
+      '*.name.required': 'name is required'
+    };
+    expect(Messages.make(messages, 'orders.12.items.3.sku', 'required', [])).to.equal('sku is required');
+    expect(Messages.make(messages, '0.name', 'required', [])).to.equal('name is required');
+  });
+
+  it('should find messages defined on array expressions matching object keys', function () {
+    const messages = {
+      'settings.*.enabled.boolean': 'enabled must be a boolean'
+    };
+    expect(Messages.make(messages, 'settings.theme.enabled', 'boolean', [])).to.equal('enabled must be a boolean');
+    expect(Messages.make(messages, 'settings.theme.visible', 'boolean', [])).to.equal('boolean validation failed on settings.theme.visible');
+  });
 });
+
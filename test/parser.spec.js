@@ -115,4 +115,259 @@ describe('Parser', function () {
     const parsed = {password: Parser.parse(rules.password)};
     expect(parsed).deep.equal(parsedRules);
   });
+
+  it('should parse all rules of a schema without expanding array expressions', function () {
+    const parsed = Parser.parseRules({
+      username: 'required',
+      'users.*.email': 'email'
+    });
+    expect(parsed).deep.equal({
+      username: [{name: 'required', args: []}],
+      'users.*.email': [{name: 'email', args: []}]
+    });
+  });
+
+  it('should expand parsed array expressions against the data', function () {
+    const parsed = Parser.parseRules({
+      username: 'required',
+      'users.*.email': 'email'
+    });
+    const expanded = Parser.expandRules({users: [{}, {}]}, parsed);
+    expect(Object.keys(expanded)).deep.equal(['username', 'users.0.email', 'users.1.email']);
+    expect(expanded['users.0.email']).to.equal(parsed['users.*.email']);
+    expect(expanded['users.1.email']).to.equal(parsed['users.*.email']);
+  });
+
+  it('should return the field as it is when it has no array expression', function () {
+    expect(Parser.expandField({}, 'profile.email')).deep.equal(['profile.email']);
+  });
+
+  it('should expand nested array expressions', function () {
+    const data = {
+      orders: [
+        {items: [{sku: 'a'}, {sku: 'b'}]},
+        {items: [{sku: 'c'}]}
+      ]
+    };
+    expect(Parser.expandField(data, 'orders.*.items.*.sku')).deep.equal([
+      'orders.0.items.0.sku',
+      'orders.0.items.1.sku',
+      'orders.1.items.0.sku'
+    ]);
+  });
+
+  it('should expand consecutive array expressions', function () {
+    const data = {
+      matrix: [[1, 2], [3]]
+    };
+    expect(Parser.expandField(data, 'matrix.*.*')).deep.equal(['matrix.0.0', 'matrix.0.1', 'matrix.1.0']);
+  });
+
+  it('should expand a leading array expression for top level arrays', function () {
+    const data = [{name: 'virk'}, {name: 'nikk'}];
+    expect(Parser.expandField(data, '*.name')).deep.equal(['0.name', '1.name']);
+  });
+
+  it('should expand array expressions over object keys', function () {
+    const data = {
+      settings: {
+        theme: {enabled: true},
+        sounds: {enabled: false}
+      }
+    };
+    expect(Parser.expandField(data, 'settings.*.enabled')).deep.equal(['settings.theme.enabled', 'settings.sounds.enabled']);
+  });
+
+  it('should not expand array expressions over missing or primitive values', function () {
+    expect(Parser.expandField({}, 'orders.*.items.*.sku')).deep.equal([]);
+    expect(Parser.expandField({orders: 'foo'}, 'orders.*')).deep.equal([]);
+    expect(Parser.expandField({orders: [{items: null}]}, 'orders.*.items.*.sku')).deep.equal([]);
+  });
+
+  it('should transform multi level array expressions into rules for every node', function () {
+    const data = {
+      orders: [
+        {items: [{sku: 'a'}, {sku: 'b'}]}
+      ]
+    };
+    const transformed = Parser.transformRules(data, {'orders.*.items.*.sku': 'required'});
+    expect(transformed).deep.equal({
+      'orders.0.items.0.sku': [{name: 'required', args: []}],
+      'orders.0.items.1.sku': [{name: 'required', args: []}]
+    });
+  });
+
+  it('should not split quoted arguments on commas or pipes', function () {
+    const parsed = Parser.parse('in:"a,b",c|regex:"^(a|b)$"');
+    expect(parsed).deep.equal([
+      {name: 'in', args: ['a,b', 'c']},
+      {name: 'regex', args: ['^(a|b)$']}
+    ]);
+  });
+
+  it('should treat escaped commas and pipes as part of the argument', function () {
+    const parsed = Parser.parse('in:foo\\,bar,baz|regex:^a\\|b$');
+    expect(parsed).deep.equal([
+      {name: 'in', args: ['foo,bar', 'baz']},
+      {name: 'regex', args: ['^a|b$']}
+    ]);
+  });
+
+  it('should keep backslashes which do not escape a special character', function () {
+    const parsed = Parser.parse('regex:^\\d+$');
+    expect(parsed).deep.equal([{name: 'regex', args: ['^\\d+$']}]);
+  });
+
+  it('should unescape quotes and backslashes inside quoted arguments', function () {
+    const parsed = Parser.parse('in:"say \\"hi\\"","back\\\\slash","\\d"');
+    expect(parsed).deep.equal([{name: 'in', args: ['say "hi"', 'back\\slash', '\\d']}]);
+  });
+
+  it('should allow empty quoted arguments', function () {
+    const parsed = Parser.parse('in:"",a');
+    expect(parsed).deep.equal([{name: 'in', args: ['', 'a']}]);
+  });
+
+  it('should treat quotes in the middle of an argument as regular characters', function () {
+    const parsed = Parser.parse('not_in:it"s');
+    expect(parsed).deep.equal([{name: 'not_in', args: ['it"s']}]);
+  });
+
+  it('should parse quoted arguments inside rules defined as an array', function () {
+    const parsed = Parser.parse(['required', 'regex:"^a{1,3}$"', 'regex:^(a|b)$']);
+    expect(parsed).deep.equal([
+      {name: 'required', args: []},
+      {name: 'regex', args: ['^a{1,3}$']},
+      {name: 'regex', args: ['^(a|b)$']}
+    ]);
+  });
+
+  it('should throw an error with the position of an unterminated quote', function () {
+    const fn = function () {
+      return Parser.parse('required|in:"a,b');
+    };
+    expect(fn).to.throw('Unterminated quoted argument in rule "required|in:"a,b" at position 12');
+  });
+
+  it('should throw an error with the position of characters after a closing quote', function () {
+    const fn = function () {
+      return Parser.parse('in:"a"b,c');
+    };
+    expect(fn).to.throw('Unexpected character "b" after quoted argument in rule "in:"a"b,c" at position 6');
+  });
+
+  it('should parse structured rule objects', function () {
+    const regex = /^a+$/i;
+    const parsed = Parser.parse(['required', {rule: 'regex', args: [regex]}, {rule: 'nullable'}]);
+    expect(parsed).deep.equal([
+      {name: 'required', args: []},
+      {name: 'regex', args: [regex]},
+      {name: 'nullable', args: []}
+    ]);
+    expect(parsed[1].args[0]).to.equal(regex);
+  });
+
+  it('should parse a single rule object', function () {
+    const date = new Date();
+    expect(Parser.parse({rule: 'after', args: date})).deep.equal([{name: 'after', args: [date]}]);
+  });
+
+  it('should throw an error when rule of a rule object is not a string', function () {
+    const fn = function () {
+      return Parser.parse([{rule: 10}]);
+    };
+    expect(fn).to.throw('Invalid rule object, expects rule to be a string');
+  });
+
+  it('should parse functions defined inside the rules', function () {
+    const notAdmin = function (value) {
+      return value !== 'admin';
+    };
+    const anonymous = [(value) => value !== 'root'][0];
+    const parsed = Parser.parse(['required', notAdmin, anonymous, {rule: anonymous, message: 'not allowed'}]);
+    expect(parsed).deep.equal([
+      {name: 'required', args: []},
+      {name: 'not_admin', args: [], inline: notAdmin},
+      {name: 'inline', args: [], inline: anonymous},
+      {name: 'inline', args: [], inline: anonymous, message: 'not allowed'}
+    ]);
+  });
+
+  it('should use the name defined on a rule object for inline functions', function () {
+    const parsed = Parser.parse([{rule: (value) => value, name: 'strongPassword'}, {rule: (value) => value}]);
+    expect(parsed[0].name).to.equal('strong_password');
+    expect(parsed[1].name).to.equal('inline');
+  });
+
+  it('should flatten nested schema objects to dotted fields', function () {
+    const flattened = Parser.flattenRules({
+      username: 'required',
+      profile: {address: {city: 'required', zip: ['required', {rule: 'regex', args: [/^\d+$/]}]}}
+    });
+    expect(flattened).deep.equal({
+      username: 'required',
+      'profile.address.city': 'required',
+      'profile.address.zip': ['required', {rule: 'regex', args: [/^\d+$/]}]
+    });
+  });
+
+  it('should flatten arrays holding rules of their elements to array expressions', function () {
+    const flattened = Parser.flattenRules({
+      tags: [['string', 'max:20']],
+      categories: [['string']],
+      orders: [{sku: 'required', items: [{qty: 'integer|min:1'}]}]
+    });
+    expect(flattened).deep.equal({
+      'tags.*': ['string', 'max:20'],
+      'categories.*': ['string'],
+      'orders.*.sku': 'required',
+      'orders.*.items.*.qty': 'integer|min:1'
+    });
+  });
+
+  it('should flatten nested schemas of data having a rule field', function () {
+    const flattened = Parser.flattenRules({firewall: {rule: 'required|string', port: 'integer'}});
+    expect(flattened).deep.equal({'firewall.rule': 'required|string', 'firewall.port': 'integer'});
+  });
+
+  it('should keep a single rule string with multiple rules inside an array as a list of rules', function () {
+    expect(Parser.flattenRules({name: ['required|min:3']})).deep.equal({name: ['required|min:3']});
+  });
+
+  it('should keep arrays of rules as they are', function () {
+    const rules = {email: ['required'], type: ['regex:"^(a|b)$"'], role: [{rule: 'in', args: ['admin']}]};
+    expect(Parser.flattenRules(rules)).deep.equal(rules);
+  });
+
+  it('should throw an error when a field is defined more than once', function () {
+    const fn = function () {
+      return Parser.flattenRules({'profile.name': 'required', profile: {name: 'alpha'}});
+    };
+    expect(fn).to.throw('Rules for profile.name are defined more than once');
+  });
+
+  it('should flatten rules of both branches of a conditional group', function () {
+    const flattened = Parser.flattenRules({card: Parser.when(['method', 'card'], {number: 'required'}, 'empty')});
+    expect(Parser.isCondition(flattened.card)).to.equal(true);
+    expect(flattened.card.rulesIfTrue).deep.equal({'card.number': 'required'});
+    expect(flattened.card.rulesIfFalse).deep.equal({card: 'empty'});
+    expect(Parser.flattenRules(flattened)).deep.equal(flattened);
+  });
+
+  it('should match conditions against the data', function () {
+    const byValue = Parser.when(['method', 'card'], {});
+    const byFunction = Parser.when((data) => data.total > 10, {});
+    expect(Parser.matchesCondition(byValue, {method: 'card'})).to.equal(true);
+    expect(Parser.matchesCondition(byValue, {method: 'cash'})).to.equal(false);
+    expect(Parser.matchesCondition(byFunction, {total: 20})).to.equal(true);
+  });
+
+  it('should compare values of conditions as strings', function () {
+    const byNumber = Parser.when(['count', 1], {});
+    expect(Parser.matchesCondition(byNumber, {count: '1'})).to.equal(true);
+    expect(Parser.matchesCondition(byNumber, {count: 1})).to.equal(true);
+    expect(Parser.matchesCondition(byNumber, {count: '2'})).to.equal(false);
+    expect(Parser.matchesCondition(Parser.when(['count', null], {}), {count: 'null'})).to.equal(false);
+    expect(Parser.matchesCondition(Parser.when(['count', 'undefined'], {}), {})).to.equal(false);
+  });
 });
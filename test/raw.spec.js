@@ -251,6 +251,13 @@ describe('Raw Validator', function () {
   });
 
   describe('Regexp', function () {
+    it('should return true when input contains digits only', function () {
+      expect(Is.digits('0123')).to.equal(true);
+      expect(Is.digits(42)).to.equal(true);
+      expect(Is.digits('12.5')).to.equal(false);
+      expect(Is.digits('-12')).to.equal(false);
+    });
+
     it('should return false when input is not a valid url', function () {
       const isUrl = Is.url('foo');
       expect(isUrl).to.equal(false);
@@ -454,6 +461,18 @@ describe('Raw Validator', function () {
       expect(isSame).to.equal(true);
     });
 
+    it('should return true when 2 values are same once converted to strings', function () {
+      expect(Is.looselySame(10, '10')).to.equal(true);
+      expect(Is.looselySame('yeah', 'yeah')).to.equal(true);
+      expect(Is.looselySame(10, '11')).to.equal(false);
+    });
+
+    it('should only match null and undefined with themselves when loosely comparing', function () {
+      expect(Is.looselySame(null, null)).to.equal(true);
+      expect(Is.looselySame(null, 'null')).to.equal(false);
+      expect(Is.looselySame('undefined', undefined)).to.equal(false);
+    });
+
     it('should return true when input is a even number', function () {
       const isEven = Is.even(4);
       expect(isEven).to.equal(true);
@@ -519,6 +538,29 @@ describe('Raw Validator', function () {
       expect(isUnder).to.equal(true);
     });
 
+    it('should return true when input equals comparison input', function () {
+      expect(Is.under(40, 40)).to.equal(true);
+    });
+
+    it('should return true when input is a multiple of a given number', function () {
+      expect(Is.multipleOf(15, 5)).to.equal(true);
+      expect(Is.multipleOf('-9', '3')).to.equal(true);
+      expect(Is.multipleOf(16, 5)).to.equal(false);
+    });
+
+    it('should not be affected by floating point errors when checking multiples of decimals', function () {
+      expect(Is.multipleOf(0.3, 0.1)).to.equal(true);
+      expect(Is.multipleOf(19.99, 0.01)).to.equal(true);
+      expect(Is.multipleOf(1e-7, 1e-8)).to.equal(true);
+      expect(Is.multipleOf(0.35, 0.1)).to.equal(false);
+    });
+
+    it('should return false when input or divisor is not a number, or divisor is zero', function () {
+      expect(Is.multipleOf('foo', 2)).to.equal(false);
+      expect(Is.multipleOf(4, 'foo')).to.equal(false);
+      expect(Is.multipleOf(4, 0)).to.equal(false);
+    });
+
     it('should return true when input value is between comparison inputs', function () {
       const isBetween = Is.between(30, 20, 40);
       expect(isBetween).to.equal(true);
@@ -645,6 +687,53 @@ describe('Raw Validator', function () {
       const isInDateRange = Is.inDateRange('2015-11-20', '2015-11-10', '2015-11-15');
       expect(isInDateRange).to.equal(false);
     });
+
+    it('should resolve date keywords when comparing dates', function () {
+      const tomorrow = new Date(new Date().setDate(new Date().getDate() + 1));
+      expect(Is.after(tomorrow, 'today')).to.equal(true);
+      expect(Is.after(tomorrow, 'tomorrow')).to.equal(true);
+      expect(Is.before(new Date(), 'tomorrow')).to.equal(true);
+      expect(Is.before('2015-11-20', 'now')).to.equal(true);
+      expect(Is.after('2015-11-20', 'yesterday')).to.equal(false);
+    });
+
+    it('should return true when date is after a given offset', function () {
+      const nextYear = new Date(new Date().setFullYear(new Date().getFullYear() + 1));
+      expect(Is.afterOffsetOf(nextYear, 6, 'months')).to.equal(true);
+      expect(Is.afterOffsetOf(nextYear, '2', 'years')).to.equal(false);
+    });
+
+    it('should return true when date is before a given offset', function () {
+      expect(Is.beforeOffsetOf(new Date(), 1, 'hour')).to.equal(true);
+      expect(Is.beforeOffsetOf(new Date(), -1, 'day')).to.equal(false);
+    });
+
+    it('should accept singular and plural offset units', function () {
+      const now = new Date();
+      expect(Is.beforeOffsetOf(now, 1, 'week')).to.equal(true);
+      expect(Is.beforeOffsetOf(now, 1, 'weeks')).to.equal(true);
+      expect(Is.beforeOffsetOf(now, 10, 'minutes')).to.equal(true);
+    });
+
+    it('should throw an error when offset unit is not valid', function () {
+      const fn = function () {
+        return Is.afterOffsetOf(new Date(), 1, 'fortnights');
+      };
+      expect(fn).to.throw('Invalid date offset unit fortnights, expected one of year, month, week, day, hour, minute');
+    });
+
+    it('should throw an error when offset is not a number', function () {
+      const fn = function () {
+        return Is.afterOffsetOf(new Date(), 'foo', 'days');
+      };
+      expect(fn).to.throw('Invalid date offset foo, offset must be a number');
+    });
+
+    it('should check offsets without comparing dates', function () {
+      expect(Is.checkOffset('4', 'months')).to.equal(undefined);
+      expect(() => Is.checkOffset(4, 'fortnights')).to.throw('Invalid date offset unit fortnights');
+      expect(() => Is.checkOffset(true, 'days')).to.throw('Invalid date offset true, offset must be a number');
+    });
   });
 
   describe('Array', function () {
@@ -487,6 +487,39 @@ describe('Sanitization', function () {
     });
   });
 
+  describe('create', function () {
+    it('should keep filters extended on an instance isolated', function () {
+      const sanitization = Sanitization.create();
+      sanitization.sanitizor.extend('shout', function (value) {
+        return String(value).toUpperCase();
+      });
+
+      const sanitized = sanitization.sanitize({name: 'virk'}, {name: 'shout'});
+      expect(sanitized).deep.equal({name: 'VIRK'});
+      expect(Sanitization.sanitizor.shout).to.equal(undefined);
+      expect(() => Sanitization.sanitize({name: 'virk'}, {name: 'shout'})).to.throw(/shout is not defined as a filter/);
+    });
+
+    it('should register filters passed to create', function () {
+      const sanitization = Sanitization.create({
+        reverse: function (value) {
+          return String(value).split('').reverse().join('');
+        }
+      });
+
+      const sanitized = sanitization.sanitize({name: 'virk'}, {name: 'reverse|trim'});
+      expect(sanitized).deep.equal({name: 'kriv'});
+    });
+
+    it('should not inherit filters extended on the default sanitizor', function () {
+      Sanitization.sanitizor.extend('globalOnly', function (value) {
+        return value;
+      });
+      const sanitization = Sanitization.create();
+      expect(sanitization.sanitizor.globalOnly).to.equal(undefined);
+    });
+  });
+
   describe('Regression', function () {
     it('should work fine without optional 2nd argument', function () {
       const sanitized = SanitizationFilters.toInt('20');
@@ -1,6 +1,7 @@
 'use strict';
 
 const Validations = require('../src/Validations');
+const Adapters = require('../src/Adapters');
 const chai = require('chai');
 const expect = chai.expect;
 
@@ -61,6 +62,58 @@ describe('Validations', function () {
     });
   });
 
+  describe('sync', function () {
+    it('should return when the synchronous version of a rule passes', function () {
+      const result = Validations.required.sync({name: 'virk'}, 'name', 'name is required', []);
+      expect(result).to.equal('validation passed');
+    });
+
+    it('should throw the message when the synchronous version of a rule fails', function () {
+      const fn = function () {
+        return Validations.email.sync({email: 'foo'}, 'email', 'invalid email', []);
+      };
+      expect(fn).to.throw('invalid email');
+    });
+  });
+
+  describe('excludes', function () {
+    it('should exclude fields using sometimes when they are missing', function () {
+      expect(Validations.sometimes.excludes({}, 'email', [])).to.equal(true);
+      expect(Validations.sometimes.excludes({email: null}, 'email', [])).to.equal(false);
+    });
+
+    it('should exclude fields using exclude_if when the other field matches', function () {
+      expect(Validations.excludeIf.excludes({type: 'person'}, 'company', ['type', 'person'])).to.equal(true);
+      expect(Validations.excludeIf.excludes({age: 18}, 'company', ['age', '18'])).to.equal(true);
+      expect(Validations.excludeIf.excludes({}, 'company', ['type', 'person'])).to.equal(false);
+      expect(Validations.excludeIf.excludes({type: 'undefined'}, 'company', ['type'])).to.equal(false);
+    });
+
+    it('should exclude fields using exclude_unless when the other field does not match', function () {
+      expect(Validations.excludeUnless.excludes({type: 'person'}, 'company', ['type', 'business'])).to.equal(true);
+      expect(Validations.excludeUnless.excludes({type: 'business'}, 'company', ['type', 'business'])).to.equal(false);
+    });
+  });
+
+  describe('mode', function () {
+    it('should skip empty strings in normal mode', function *() {
+      const data = { select: '' };
+      const passes = yield Validations.array(data, 'select', 'select must be an array', [], [], {mode: 'normal'});
+      expect(passes).to.equal('validation skipped');
+    });
+
+    it('should validate empty strings when strict mode is passed as an option', function *() {
+      const data = { select: '' };
+      const message = 'select must be an array';
+      try {
+        const passes = yield Validations.array(data, 'select', message, [], [], {mode: 'strict'});
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+  });
+
   describe('email', function () {
     it('should return error when field is defined and does not have valid email', function *() {
       const data = { email: 'virk' };
@@ -181,6 +234,23 @@ describe('Validations', function () {
   });
 
   describe('after', function () {
+    it('should work fine when the date is defined as a Date instance', function *() {
+      const data = { dob: '2011-01-01' };
+      const passes = yield Validations.after(data, 'dob', 'dob should be after 2010', [new Date(2010, 10, 20)]);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should call the date argument when it is defined as a function', function *() {
+      const data = { dob: '1980-11-20' };
+      const message = 'dob should be after 2010';
+      try {
+        const passes = yield Validations.after(data, 'dob', message, [() => new Date(2010, 10, 20)]);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+
     it('should throw an error when date is not after defined date', function *() {
       const data = { dob: '1980-11-20' };
       const field = 'dob';
@@ -409,6 +479,81 @@ describe('Validations', function () {
     });
   });
 
+  describe('afterOffsetOf', function () {
+    it('should throw an error when date is not after the defined offset', function *() {
+      const data = { expires: new Date() };
+      const message = 'expires should be after 12 months';
+      try {
+        const passes = yield Validations.afterOffsetOf(data, 'expires', message, ['12', 'months']);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+
+    it('should work fine when date is after the defined offset', function *() {
+      const nextYear = new Date(new Date().setFullYear(new Date().getFullYear() + 1));
+      const data = { expires: nextYear };
+      const passes = yield Validations.afterOffsetOf(data, 'expires', 'expires should be after 6 months', ['6', 'months']);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should skip validation when field is not defined', function *() {
+      const passes = yield Validations.afterOffsetOf({}, 'expires', 'expires should be after 6 months', ['6', 'months']);
+      expect(passes).to.equal('validation skipped');
+    });
+  });
+
+  describe('beforeOffsetOf', function () {
+    it('should throw an error when date is not before the defined offset', function *() {
+      const nextYear = new Date(new Date().setFullYear(new Date().getFullYear() + 1));
+      const data = { enrollment: nextYear };
+      const message = 'enrollment should be before 1 month';
+      try {
+        const passes = yield Validations.beforeOffsetOf(data, 'enrollment', message, ['1', 'month']);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+
+    it('should work fine when date is before the defined offset', function *() {
+      const data = { enrollment: '2015-11-20' };
+      const passes = yield Validations.beforeOffsetOf(data, 'enrollment', 'enrollment should be before 1 year', ['1', 'year']);
+      expect(passes).to.equal('validation passed');
+    });
+  });
+
+  describe('date keywords', function () {
+    it('should compare dates with today when using the today keyword', function *() {
+      const tomorrow = new Date(new Date().setDate(new Date().getDate() + 1));
+      const passes = yield Validations.after({ starts_at: tomorrow }, 'starts_at', 'starts_at should be after today', ['today']);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should throw an error when date is not before tomorrow', function *() {
+      const nextWeek = new Date(new Date().setDate(new Date().getDate() + 7));
+      const message = 'ends_at should be before tomorrow';
+      try {
+        const passes = yield Validations.before({ ends_at: nextWeek }, 'ends_at', message, ['tomorrow']);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+
+    it('should work fine when date is same as today with afterOrEqual', function *() {
+      const today = new Date(new Date().setHours(0, 0, 0, 0));
+      const passes = yield Validations.afterOrEqual({ starts_at: today }, 'starts_at', 'starts_at should be today or later', ['today']);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should work fine when date is before now with beforeOrEqual', function *() {
+      const passes = yield Validations.beforeOrEqual({ born_at: '2015-11-20' }, 'born_at', 'born_at should be in past', ['now']);
+      expect(passes).to.equal('validation passed');
+    });
+  });
+
   describe('date', function () {
     it('should throw an error when field value is not a valid date', function *() {
       const data = { dob: '10th' };
@@ -598,6 +743,18 @@ describe('Validations', function () {
   });
 
   describe('in', function () {
+    it('should work fine when values are defined as an array argument', function *() {
+      const data = { gender: 'M' };
+      const passes = yield Validations.in(data, 'gender', 'select valid gender', [['F', 'M', 'O']]);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should match values containing commas when defined as an array argument', function *() {
+      const data = { company: 'Google, Inc' };
+      const passes = yield Validations.in(data, 'company', 'select valid company', [['Google, Inc', 'Yahoo']]);
+      expect(passes).to.equal('validation passed');
+    });
+
     it('should throw an error when field value is not in defined fields', function *() {
       const data = { gender: 'Foo' };
       const field = 'gender';
@@ -1746,6 +1903,20 @@ describe('Validations', function () {
   });
 
   describe('regex', function () {
+    it('should make use of flags defined on a RegExp argument', function *() {
+      const data = { country: 'INDIA' };
+      const passes = yield Validations.regex(data, 'country', 'country should be india', [/^india$/i]);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should not keep state between runs of a global RegExp argument', function *() {
+      const data = { country: 'india' };
+      const args = [/^india$/g];
+      yield Validations.regex(data, 'country', 'country should be india', args);
+      const passes = yield Validations.regex(data, 'country', 'country should be india', args);
+      expect(passes).to.equal('validation passed');
+    });
+
     it('should throw an error when value does not match regex', function *() {
       const data = { email: 'foo' };
       const field = 'email';
@@ -3067,4 +3238,492 @@ describe('Validations', function () {
 
   });
 
+
+  describe('above', function () {
+    it('should throw error when value is not above the defined value', function *() {
+      const data = { age: 18 };
+      const message = 'age should be above 18';
+      try {
+        const passes = yield Validations.above(data, 'age', message, ['18'], []);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+
+    it('should work fine when value is above the defined value', function *() {
+      const passes = yield Validations.above({ age: '19' }, 'age', 'age should be above 18', ['18'], []);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should skip validation when field does not exists', function *() {
+      const passes = yield Validations.above({}, 'age', 'age should be above 18', ['18'], []);
+      expect(passes).to.equal('validation skipped');
+    });
+  });
+
+  describe('under', function () {
+    it('should throw error when value is not under the defined value', function *() {
+      const data = { age: 60 };
+      const message = 'age should be under 60';
+      try {
+        const passes = yield Validations.under(data, 'age', message, ['60'], []);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+
+    it('should work fine when value is under the defined value', function *() {
+      const passes = yield Validations.under({ age: 59 }, 'age', 'age should be under 60', ['60'], []);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should throw error when value is not a number', function *() {
+      const message = 'age should be under 60';
+      try {
+        const passes = yield Validations.under({ age: 'foo' }, 'age', message, ['60'], []);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+  });
+
+  describe('equals', function () {
+    it('should throw error when value does not equal the defined value', function *() {
+      const message = 'age should be 26';
+      try {
+        const passes = yield Validations.equals({ age: 27 }, 'age', message, ['26'], []);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+
+    it('should loosely compare the value with the defined value', function *() {
+      const passes = yield Validations.equals({ age: 26 }, 'age', 'age should be 26', ['26'], []);
+      expect(passes).to.equal('validation passed');
+    });
+  });
+
+  describe('not_equals', function () {
+    it('should throw error when value loosely equals the defined value', function *() {
+      const message = 'id should not be 1';
+      try {
+        const passes = yield Validations.notEquals({ id: 1 }, 'id', message, ['1'], []);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+
+    it('should work fine when value is different from the defined value', function *() {
+      const passes = yield Validations.notEquals({ username: 'virk' }, 'username', 'username should not be admin', ['admin'], []);
+      expect(passes).to.equal('validation passed');
+    });
+  });
+
+  describe('gt', function () {
+    it('should compare numeric values of two fields', function *() {
+      const data = { min_guests: 2, max_guests: 4 };
+      const passes = yield Validations.gt(data, 'max_guests', 'max_guests should be greater than min_guests', ['min_guests'], [{ name: 'integer' }]);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should throw error when size is not greater than the size of other field', function *() {
+      const data = { tags: ['a'], categories: ['a', 'b'] };
+      const message = 'tags should have more items than categories';
+      try {
+        const passes = yield Validations.gt(data, 'tags', message, ['categories'], [{ name: 'array' }]);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+
+    it('should compare with a number when other field is not defined', function *() {
+      const passes = yield Validations.gt({ username: 'virk' }, 'username', 'username is too short', ['3'], []);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should throw error when fields have different types', function *() {
+      const data = { tags: ['a', 'b', 'c'], name: 'ab' };
+      const message = 'tags should be greater than name';
+      try {
+        const passes = yield Validations.gt(data, 'tags', message, ['name'], []);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).deep.equal({ message, reason: 'type_mismatch' });
+      }
+    });
+
+    it('should throw error when other field is not defined and argument is not a number', function *() {
+      const message = 'price should be greater than cost';
+      try {
+        const passes = yield Validations.gt({ price: 10 }, 'price', message, ['cost'], [{ name: 'numeric' }]);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+
+    it('should skip validation when field is not defined', function *() {
+      const passes = yield Validations.gt({ min_guests: 2 }, 'max_guests', 'max_guests should be greater than min_guests', ['min_guests'], []);
+      expect(passes).to.equal('validation skipped');
+    });
+  });
+
+  describe('gte', function () {
+    it('should work fine when sizes are equal', function *() {
+      const data = { password: 'secret', hint: 'foobar' };
+      const passes = yield Validations.gte(data, 'password', 'password should be as long as hint', ['hint'], []);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should throw error when numeric value is lower than the other field', function *() {
+      const message = 'max_guests should not be lower than min_guests';
+      try {
+        const passes = yield Validations.gte({ min_guests: '5', max_guests: '4' }, 'max_guests', message, ['min_guests'], [{ name: 'numeric' }]);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+  });
+
+  describe('lt', function () {
+    it('should work fine when size is less than the size of other field', function *() {
+      const passes = yield Validations.lt({ discount: 10, price: 25 }, 'discount', 'discount should be less than price', ['price'], [{ name: 'numeric' }]);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should throw error when sizes are equal', function *() {
+      const message = 'discount should be less than price';
+      try {
+        const passes = yield Validations.lt({ discount: 25, price: 25 }, 'discount', message, ['price'], [{ name: 'numeric' }]);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+  });
+
+  describe('lte', function () {
+    it('should work fine when sizes are equal', function *() {
+      const passes = yield Validations.lte({ discount: 25, price: 25 }, 'discount', 'discount should not exceed price', ['price'], [{ name: 'numeric' }]);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should throw error when value is a number and other field a string', function *() {
+      const message = 'discount should not exceed price';
+      try {
+        const passes = yield Validations.lte({ discount: 2, price: 'free' }, 'discount', message, ['price'], [{ name: 'numeric' }]);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).deep.equal({ message, reason: 'type_mismatch' });
+      }
+    });
+  });
+
+  describe('digits', function () {
+    it('should work fine when value has the defined number of digits', function *() {
+      const passes = yield Validations.digits({ pin: '0042' }, 'pin', 'pin must have 4 digits', ['4'], []);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should throw error when value has a different number of digits', function *() {
+      const message = 'pin must have 4 digits';
+      try {
+        const passes = yield Validations.digits({ pin: 12345 }, 'pin', message, ['4'], []);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+
+    it('should throw error when value contains other characters than digits', function *() {
+      const message = 'pin must have 4 digits';
+      try {
+        const passes = yield Validations.digits({ pin: '12.5' }, 'pin', message, ['4'], []);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+
+    it('should skip validation when field is not defined', function *() {
+      const passes = yield Validations.digits({}, 'pin', 'pin must have 4 digits', ['4'], []);
+      expect(passes).to.equal('validation skipped');
+    });
+  });
+
+  describe('digitsBetween', function () {
+    it('should work fine when number of digits is within the defined range', function *() {
+      const passes = yield Validations.digitsBetween({ otp: '123456' }, 'otp', 'otp must have 4 to 6 digits', ['4', '6'], []);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should throw error when number of digits is outside the defined range', function *() {
+      const message = 'otp must have 4 to 6 digits';
+      try {
+        const passes = yield Validations.digitsBetween({ otp: '123' }, 'otp', message, ['4', '6'], []);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+  });
+
+  describe('multipleOf', function () {
+    it('should work fine when value is a multiple of a decimal', function *() {
+      const passes = yield Validations.multipleOf({ price: '0.3' }, 'price', 'price must be a multiple of 0.1', ['0.1'], []);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should throw error when value is not a multiple of the defined number', function *() {
+      const message = 'quantity must be a multiple of 6';
+      try {
+        const passes = yield Validations.multipleOf({ quantity: 16 }, 'quantity', message, ['6'], []);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+  });
+
+  describe('distinct', function () {
+    it('should work fine when no other element has the same value', function *() {
+      const data = { items: [{ sku: 'a1' }, { sku: 'b2' }, {}] };
+      const passes = yield Validations.distinct(data, 'items.0.sku', 'sku must be unique', [], []);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should throw error with the paths of elements having the same value', function *() {
+      const data = { items: [{ sku: 'a1' }, { sku: 'b2' }, { sku: 'a1' }, { sku: 'a1' }] };
+      const message = 'sku must be unique';
+      try {
+        const passes = yield Validations.distinct(data, 'items.2.sku', message, [], []);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).deep.equal({ message, duplicates: ['items.0.sku', 'items.3.sku'] });
+      }
+    });
+
+    it('should compare values loosely by default', function *() {
+      const message = 'ids must be unique';
+      try {
+        const passes = yield Validations.distinct({ ids: [1, '1'] }, 'ids.1', message, [], []);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e.duplicates).deep.equal(['ids.0']);
+      }
+    });
+
+    it('should compare values by type when strict is defined', function *() {
+      const passes = yield Validations.distinct({ ids: [1, '1'] }, 'ids.1', 'ids must be unique', ['strict'], []);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should compare strings case insensitively when ignore_case is defined', function *() {
+      const data = { emails: ['foo@bar.com', 'FOO@bar.com'] };
+      const passes = yield Validations.distinct(data, 'emails.1', 'emails must be unique', [], []);
+      expect(passes).to.equal('validation passed');
+      try {
+        const failed = yield Validations.distinct(data, 'emails.1', 'emails must be unique', ['ignore_case'], []);
+        expect(failed).not.to.exist();
+      } catch (e) {
+        expect(e.duplicates).deep.equal(['emails.0']);
+      }
+    });
+
+    it('should compare elements across nested arrays', function *() {
+      const data = { orders: [{ items: [{ sku: 'a1' }] }, { items: [{ sku: 'b2' }, { sku: 'a1' }] }] };
+      try {
+        const passes = yield Validations.distinct(data, 'orders.1.items.1.sku', 'sku must be unique', [], []);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e.duplicates).deep.equal(['orders.0.items.0.sku']);
+      }
+    });
+
+    it('should skip validation when field is not defined', function *() {
+      const passes = yield Validations.distinct({ items: [{}] }, 'items.0.sku', 'sku must be unique', [], []);
+      expect(passes).to.equal('validation skipped');
+    });
+
+    it('should throw error with the indexes of duplicated elements when field value is an array', function *() {
+      try {
+        const passes = yield Validations.distinct({ tags: ['a', 'b', 'a'] }, 'tags', 'tags must be unique', [], []);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).deep.equal({ message: 'tags must be unique', duplicates: [0, 2] });
+      }
+    });
+
+    it('should compare elements of an array case insensitively when ignore_case is defined', function *() {
+      const passes = yield Validations.distinct({ tags: ['a', 'A'] }, 'tags', 'tags must be unique', [], []);
+      expect(passes).to.equal('validation passed');
+      try {
+        const failed = yield Validations.distinct({ tags: ['a', 'A'] }, 'tags', 'tags must be unique', ['ignore_case'], []);
+        expect(failed).not.to.exist();
+      } catch (e) {
+        expect(e.duplicates).deep.equal([0, 1]);
+      }
+    });
+
+    it('should work fine when elements of an array are unique', function *() {
+      const passes = yield Validations.distinct({ tags: ['a', 'b'] }, 'tags', 'tags must be unique', [], []);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should compare an array element with its siblings even when it is the only element', function *() {
+      const passes = yield Validations.distinct({ items: [{ tags: ['a', 'a'] }] }, 'items.0.tags', 'tags must be unique', [], []);
+      expect(passes).to.equal('validation passed');
+    });
+  });
+
+  describe('filled', function () {
+    it('should work fine when field is not present', function *() {
+      const passes = yield Validations.filled({}, 'nickname', 'nickname must not be empty', [], []);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should work fine when field is present and not empty', function *() {
+      const passes = yield Validations.filled({ nickname: 'virk' }, 'nickname', 'nickname must not be empty', [], []);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should throw error when field is present but empty', function *() {
+      const message = 'nickname must not be empty';
+      for (const nickname of ['', null, [], {}]) {
+        try {
+          const passes = yield Validations.filled({ nickname }, 'nickname', message, [], []);
+          expect(passes).not.to.exist();
+        } catch (e) {
+          expect(e).to.equal(message);
+        }
+      }
+    });
+
+    it('should work fine when field is false or 0', function *() {
+      const passes = yield Validations.filled({ count: 0, active: false }, 'count', 'count must not be empty', [], []);
+      expect(passes).to.equal('validation passed');
+    });
+  });
+
+  describe('requiredArrayKeys', function () {
+    it('should work fine when object has all the defined keys', function *() {
+      const data = { address: { city: 'Delhi', zip: '', street: 'Main' } };
+      const passes = yield Validations.requiredArrayKeys(data, 'address', 'address is incomplete', ['city', 'zip'], []);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should work fine when array has all the defined indexes', function *() {
+      const passes = yield Validations.requiredArrayKeys({ pair: [1, 2] }, 'pair', 'pair is incomplete', ['0', '1'], []);
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should throw error when a key is missing', function *() {
+      const message = 'address is incomplete';
+      try {
+        const passes = yield Validations.requiredArrayKeys({ address: { city: 'Delhi' } }, 'address', message, ['city', 'zip'], []);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+
+    it('should throw error when field is missing or not an object', function *() {
+      const message = 'address is incomplete';
+      for (const data of [{}, { address: 'Delhi' }, { address: {} }]) {
+        try {
+          const passes = yield Validations.requiredArrayKeys(data, 'address', message, ['city'], []);
+          expect(passes).not.to.exist();
+        } catch (e) {
+          expect(e).to.equal(message);
+        }
+      }
+    });
+  });
+
+  describe('exists', function () {
+    const adapter = Adapters.memory({users: [{ id: 1, email: 'virk@adonisjs.com' }]});
+
+    it('should work fine when value exists inside the table', function *() {
+      const data = { email: 'virk@adonisjs.com' };
+      const passes = yield Validations.exists(data, 'email', 'user does not exist', ['users'], [], { adapter });
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should throw error when value does not exist inside the column', function *() {
+      const message = 'user does not exist';
+      try {
+        const passes = yield Validations.exists({ user_id: 2 }, 'user_id', message, ['users', 'id'], [], { adapter });
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+
+    it('should wait for adapters returning a promise', function *() {
+      const asyncAdapter = { lookup: () => Promise.resolve(1) };
+      const passes = yield Validations.exists({ email: 'foo@bar.com' }, 'email', 'user does not exist', ['users'], [], { adapter: asyncAdapter });
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should throw an error when no adapter is defined', function *() {
+      try {
+        const passes = yield Validations.exists({ email: 'foo@bar.com' }, 'email', 'user does not exist', ['users'], []);
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e.message).to.equal('exists and unique rules require an adapter, register one using setAdapter');
+      }
+    });
+
+    it('should skip validation when field is not defined', function *() {
+      const passes = yield Validations.exists({}, 'email', 'user does not exist', ['users'], [], { adapter });
+      expect(passes).to.equal('validation skipped');
+    });
+  });
+
+  describe('unique', function () {
+    const adapter = Adapters.memory({users: [{ id: 1, email: 'virk@adonisjs.com' }]});
+
+    it('should throw error when value exists inside the table', function *() {
+      const message = 'email has already been taken';
+      try {
+        const passes = yield Validations.unique({ email: 'virk@adonisjs.com' }, 'email', message, ['users', 'email'], [], { adapter });
+        expect(passes).not.to.exist();
+      } catch (e) {
+        expect(e).to.equal(message);
+      }
+    });
+
+    it('should work fine when value does not exist inside the table', function *() {
+      const passes = yield Validations.unique({ email: 'foo@bar.com' }, 'email', 'email has already been taken', ['users'], [], { adapter });
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should ignore the record with the given id', function *() {
+      const data = { email: 'virk@adonisjs.com' };
+      const passes = yield Validations.unique(data, 'email', 'email has already been taken', ['users', 'email', '1'], [], { adapter });
+      expect(passes).to.equal('validation passed');
+    });
+
+    it('should pass the record to ignore to the adapter', function *() {
+      let lookupArgs = null;
+      const spyAdapter = { lookup: function () { lookupArgs = Array.prototype.slice.call(arguments); return 0; } };
+      yield Validations.unique({ account: { email: 'foo@bar.com' } }, 'account.email', 'taken', ['users', '', '4', 'uid'], [], { adapter: spyAdapter });
+      expect(lookupArgs).deep.equal(['users', 'email', 'foo@bar.com', { except: '4', idColumn: 'uid' }]);
+    });
+  });
+
+  describe('aliases', function () {
+    it('should define required_when, required_with_any and required_without_any', function () {
+      expect(Validations.requiredWhen).to.equal(Validations.requiredIf);
+      expect(Validations.requiredWithAny).to.equal(Validations.requiredWith);
+      expect(Validations.requiredWithoutAny).to.equal(Validations.requiredWithout);
+    });
+  });
 });
@@ -1,6 +1,10 @@
 'use strict';
 
 const Validator = require('../src/Validator');
+const Parser = require('../src/Parser');
+const Adapters = require('../src/Adapters');
+const Validations = require('../src/Validations');
+const builtInRules = Object.keys(Validations);
 const chai = require('chai');
 const expect = chai.expect;
 
@@ -260,6 +264,51 @@ describe('Validator', function () {
     }
   });
 
+  it('should be able to define regex with pipes using quoted arguments', function *() {
+    const rules = {
+      name: 'required|regex:"^(foo|bar)$"'
+    };
+
+    const passed = yield Validator.validate({name: 'bar'}, rules);
+    expect(passed).deep.equal({name: 'bar'});
+
+    try {
+      const failed = yield Validator.validate({name: 'baz'}, rules);
+      expect(failed).not.to.exist();
+    } catch (e) {
+      expect(e[0].field).to.equal('name');
+      expect(e[0].validation).to.equal('regex');
+    }
+  });
+
+  it('should reject with parse errors of malformed rule strings', function *() {
+    try {
+      const passed = yield Validator.validate({name: 'bar'}, {name: 'in:"foo'});
+      expect(passed).not.to.exist();
+    } catch (e) {
+      expect(e).to.match(/Unterminated quoted argument in rule "in:"foo" at position 3/);
+    }
+  });
+
+  it('should be able to define rules as objects with real values as arguments', function *() {
+    const rules = {
+      name: ['required', {rule: 'regex', args: [/^(foo|bar)$/i]}],
+      company: {rule: 'in', args: [['Google, Inc', 'Yahoo']]}
+    };
+
+    const passed = yield Validator.validate({name: 'BAR', company: 'Google, Inc'}, rules);
+    expect(passed).deep.equal({name: 'BAR', company: 'Google, Inc'});
+
+    try {
+      const failed = yield Validator.validateAll({name: 'baz', company: 'Google'}, rules);
+      expect(failed).not.to.exist();
+    } catch (e) {
+      expect(e).to.have.length(2);
+      expect(e[0].validation).to.equal('regex');
+      expect(e[1].validation).to.equal('in');
+    }
+  });
+
   it('should run all validations on multiple fields using validateAll', function *() {
     const rules = {
       username: 'required',
@@ -561,6 +610,27 @@ describe('Validator', function () {
     }
   });
 
+  it('should be able to validate multi level array expressions', function *() {
+    const rules = {
+      'orders.*.items.*.sku': 'required'
+    };
+    const data = {
+      orders: [
+        {items: [{sku: 'a'}]},
+        {items: [{sku: 'b'}, {sku: ''}]}
+      ]
+    };
+
+    try {
+      const passed = yield Validator.validateAll(data, rules);
+      expect(passed).not.to.exist();
+    } catch (e) {
+      expect(e).to.have.length(1);
+      expect(e[0].field).to.equal('orders.1.items.1.sku');
+      expect(e[0].validation).to.equal('required');
+    }
+  });
+
   it('should be able to define custom messages for array expressions', function *() {
     const rules = {
       people: 'array',
@@ -679,4 +749,1283 @@ describe('Validator', function () {
       expect(e[0].message).to.equal('Enter valid phone number');
     }
   });
+
+  it('should use the mode passed to validate over the global mode', function *() {
+    Validator.setMode('normal');
+
+    const rules = {
+      select: 'array'
+    };
+
+    const body = {
+      select: ''
+    };
+
+    try {
+      const passed = yield Validator.validate(body, rules, {}, {mode: 'strict'});
+      expect(passed).not.to.exist();
+    } catch (e) {
+      expect(e).to.be.an('array');
+      expect(e[0].field).to.equal('select');
+      expect(e[0].validation).to.equal('array');
+    }
+  });
+
+  it('should use the mode passed to validateAll over the global mode', function *() {
+    Validator.setMode('strict');
+
+    const rules = {
+      select: 'array',
+      tags: 'array'
+    };
+
+    const body = {
+      select: '',
+      tags: ''
+    };
+
+    const passed = yield Validator.validateAll(body, rules, {}, {mode: 'normal'});
+    expect(passed).deep.equal(body);
+    Validator.setMode('normal');
+  });
+
+  it('should not leak the mode of one call into concurrent calls', function *() {
+    Validator.setMode('normal');
+
+    const rules = {
+      select: 'array'
+    };
+
+    const body = {
+      select: ''
+    };
+
+    const results = yield [
+      Validator.validate(body, rules, {}, {mode: 'strict'}).catch((errors) => errors),
+      Validator.validate(body, rules)
+    ];
+    expect(results[0]).to.be.an('array');
+    expect(results[0][0].validation).to.equal('array');
+    expect(results[1]).deep.equal(body);
+  });
+
+  it('should return native promises', function *() {
+    const validation = Validator.validate({username: 'virk'}, {username: 'required'});
+    const validationAll = Validator.validateAll({}, {username: 'required'});
+    expect(validation).to.be.an.instanceof(Promise);
+    expect(validationAll).to.be.an.instanceof(Promise);
+    yield validation;
+    try {
+      yield validationAll;
+    } catch (e) {
+      expect(e[0].validation).to.equal('required');
+    }
+  });
+
+  describe('bail', function () {
+    it('should stop running rules of a field after the first failure', function *() {
+      const validator = Validator.create();
+      let uniqueCalls = 0;
+      validator.extend('unique', function (ctx) {
+        uniqueCalls++;
+        return true;
+      });
+
+      try {
+        const passed = yield validator.validateAll({email: ''}, {email: 'bail|required|email|unique', name: 'required|alpha'});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).to.have.length(2);
+        expect(e[0].field).to.equal('email');
+        expect(e[0].validation).to.equal('required');
+        expect(e[1].field).to.equal('name');
+      }
+      expect(uniqueCalls).to.equal(0);
+    });
+
+    it('should run rules of a bailing field in the declared order', function *() {
+      const validator = Validator.create();
+      const calls = [];
+      validator.extend('slow', function (ctx) {
+        return new Promise((resolve) => setTimeout(() => {
+          calls.push('slow');
+          resolve(true);
+        }, 10));
+      });
+      validator.extend('fast', function (ctx) {
+        calls.push('fast');
+        return true;
+      });
+
+      yield validator.validate({name: 'virk'}, {name: 'bail|slow|fast'});
+      expect(calls).deep.equal(['slow', 'fast']);
+    });
+
+    it('should bail on every field using the bail option', function *() {
+      try {
+        const passed = yield Validator.validateAll({email: '', age: 'foo'}, {email: 'required|email', age: 'integer|min:18'}, {}, {mode: 'normal', bail: true});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).to.have.length(2);
+        expect(e[0].validation).to.equal('required');
+        expect(e[1].validation).to.equal('integer');
+      }
+    });
+
+    it('should bail by default when set on the validator', function *() {
+      const validator = Validator.create({bail: true});
+      try {
+        const passed = yield validator.validateAll({email: 'foo'}, {email: 'email|min:5'}, {}, {mode: 'normal'});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).to.have.length(1);
+      }
+
+      try {
+        const passed = yield validator.validateAll({email: 'foo'}, {email: 'email|min:5'}, {}, {mode: 'normal', bail: false});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).to.have.length(2);
+      }
+    });
+
+    it('should bail when validating synchronously', function () {
+      try {
+        Validator.validateAllSync({email: ''}, {email: 'bail|required|email'}, {}, {mode: 'normal'});
+        expect(true).to.equal(false);
+      } catch (e) {
+        expect(e).to.have.length(1);
+        expect(e[0].validation).to.equal('required');
+      }
+    });
+  });
+
+  describe('validated option', function () {
+    it('should resolve with the data itself by default', function *() {
+      const data = {username: 'virk', admin: true};
+      const passed = yield Validator.validate(data, {username: 'required'});
+      expect(passed).to.equal(data);
+    });
+
+    it('should resolve with the fields defined inside the rules only', function *() {
+      const data = {username: 'virk', admin: true, profile: {age: '28', role: 'admin'}};
+      const rules = {username: 'required', 'profile.age': 'numeric', email: 'email'};
+      const passed = yield Validator.validate(data, rules, {}, {validated: true});
+      expect(passed).deep.equal({username: 'virk', profile: {age: 28}});
+      expect(data.profile.age).to.equal('28');
+    });
+
+    it('should pick fields of expanded array expressions', function *() {
+      const data = {users: [{email: 'foo@bar.com', password: 'secret'}, {email: 'baz@bar.com'}], token: 'abc'};
+      const rules = {users: 'array', 'users.*.email': 'required|email'};
+      const passed = yield Validator.validateAll(data, rules, {}, {validated: true});
+      expect(passed).deep.equal({users: [{email: 'foo@bar.com'}, {email: 'baz@bar.com'}]});
+    });
+
+    it('should keep values of fields without rules on their children', function *() {
+      const data = {tags: ['node', 'js'], meta: {source: 'web'}};
+      const passed = yield Validator.validate(data, {tags: 'array', meta: 'object'}, {}, {validated: true});
+      expect(passed).deep.equal({tags: ['node', 'js'], meta: {source: 'web'}});
+    });
+
+    it('should cast values according to type rules', function *() {
+      const data = {
+        price: '10.5',
+        subscribed: '1',
+        archived: 0,
+        born: '1990-04-20',
+        joined: '20/04/2016',
+        settings: '{"theme":"dark"}',
+        nickname: ''
+      };
+      const rules = {
+        price: 'numeric',
+        subscribed: 'boolean',
+        archived: 'boolean',
+        born: 'date',
+        joined: 'date_format:DD/MM/YYYY',
+        settings: 'json',
+        nickname: 'numeric'
+      };
+      const passed = yield Validator.validate(data, rules, {}, {validated: true, mode: 'normal'});
+      expect(passed.price).to.equal(10.5);
+      expect(passed.subscribed).to.equal(true);
+      expect(passed.archived).to.equal(false);
+      expect(passed.born).to.be.an.instanceof(Date);
+      expect(passed.born.getFullYear()).to.equal(1990);
+      expect(passed.joined.getMonth()).to.equal(3);
+      expect(passed.settings).deep.equal({theme: 'dark'});
+      expect(passed.nickname).to.equal('');
+    });
+
+    it('should return the validated fields when validating synchronously', function () {
+      const passed = Validator.validateSync({age: '20', admin: true}, {age: 'numeric'}, {}, {validated: true});
+      expect(passed).deep.equal({age: 20});
+    });
+  });
+
+  describe('unknown fields', function () {
+    it('should not report empty arrays having rules defined on their elements', function *() {
+      const data = {users: [], tags: []};
+      const rules = {'users.*.email': 'email', tags: [['string', 'max:20']]};
+      const passed = yield Validator.validateAll(data, rules, {}, {rejectUnknown: true});
+      expect(passed).to.equal(data);
+      expect(Validator.validateAllSync(data, rules, {}, {rejectUnknown: true})).to.equal(data);
+    });
+
+    it('should not report empty arrays inside objects validated using object:strict', function () {
+      const data = {profile: {name: 'virk', links: []}};
+      const rules = {profile: 'required|object:strict', 'profile.name': 'required', 'profile.links.*': 'url'};
+      expect(Validator.validateAllSync(data, rules)).to.equal(data);
+    });
+
+    it('should keep reporting unknown keys of array elements', function () {
+      try {
+        Validator.validateAllSync({users: [{email: 'virk@adonisjs.com', admin: true}]}, {'users.*.email': 'email'}, {}, {rejectUnknown: true});
+        expect(true).to.equal(false);
+      } catch (e) {
+        expect(e).deep.equal([{field: 'users.0.admin', validation: 'unknown_field', message: 'unknown_field validation failed on users.0.admin'}]);
+      }
+    });
+
+    it('should report every field without rules using the rejectUnknown option', function *() {
+      const data = {username: 'virk', admin: true, profile: {age: 28, role: 'admin'}, users: [{email: 'foo@bar.com', id: 1}]};
+      const rules = {username: 'required', 'profile.age': 'integer', 'users.*.email': 'email'};
+      try {
+        const passed = yield Validator.validateAll(data, rules, {unknown_field: '{{field}} is not allowed'}, {rejectUnknown: true});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).to.have.length(3);
+        expect(e[0]).deep.equal({field: 'admin', validation: 'unknown_field', message: 'admin is not allowed'});
+        expect(e[1].field).to.equal('profile.role');
+        expect(e[2].field).to.equal('users.0.id');
+      }
+    });
+
+    it('should allow any key inside fields without rules on their children', function *() {
+      const data = {meta: {source: 'web'}, tags: ['a', 'b']};
+      const passed = yield Validator.validate(data, {meta: 'object', tags: 'array'}, {}, {rejectUnknown: true});
+      expect(passed).to.equal(data);
+    });
+
+    it('should reject unknown fields before running rules using validate', function *() {
+      let calls = 0;
+      try {
+        const passed = yield Validator.validate({username: 'virk', admin: true}, {username: [() => {
+          calls++;
+          return true;
+        }]}, {}, {rejectUnknown: true});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).to.have.length(1);
+        expect(e[0].field).to.equal('admin');
+        expect(e[0].message).to.equal('unknown_field validation failed on admin');
+      }
+      expect(calls).to.equal(0);
+    });
+
+    it('should report unknown keys of objects validated using object:strict', function *() {
+      const data = {profile: {name: 'virk', links: ['http://foo.com'], role: 'admin'}, admin: true};
+      const rules = {profile: 'object:strict', 'profile.name': 'required', 'profile.links.*': 'url'};
+      try {
+        const passed = yield Validator.validateAll(data, rules);
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).to.have.length(1);
+        expect(e[0].field).to.equal('profile.role');
+        expect(e[0].validation).to.equal('unknown_field');
+      }
+    });
+
+    it('should use options passed to compile as defaults of the schema', function () {
+      const schema = Validator.compile({username: 'required'}, {}, {rejectUnknown: true});
+      expect(() => schema.validateSync({username: 'virk', admin: true})).to.throw();
+      expect(schema.validateSync({username: 'virk', admin: true}, {rejectUnknown: false})).deep.equal({username: 'virk', admin: true});
+    });
+
+    it('should report unknown fields when validating all synchronously', function () {
+      try {
+        Validator.validateAllSync({admin: true}, {username: 'required'}, {}, {rejectUnknown: true});
+        expect(true).to.equal(false);
+      } catch (e) {
+        expect(e).to.have.length(2);
+        expect(e[0].validation).to.equal('required');
+        expect(e[1].validation).to.equal('unknown_field');
+      }
+    });
+  });
+
+  it('should not turn a list of rules into rules of array elements', function *() {
+    try {
+      const passed = yield Validator.validate({}, {name: ['required|min:3']});
+      expect(passed).not.to.exist();
+    } catch (e) {
+      expect(e).to.have.length(1);
+      expect(e[0].message).to.match(/required\|min is not defined as a validation/);
+    }
+  });
+
+  it('should validate data against nested schema objects', function *() {
+    const rules = {
+      profile: {address: {city: 'required'}},
+      tags: [['string', 'max:5']]
+    };
+    const data = {profile: {address: {}}, tags: ['node', 'javascript']};
+    try {
+      const passed = yield Validator.validateAll(data, rules);
+      expect(passed).not.to.exist();
+    } catch (e) {
+      expect(e).to.have.length(2);
+      expect(e[0].field).to.equal('profile.address.city');
+      expect(e[0].validation).to.equal('required');
+      expect(e[1].field).to.equal('tags.1');
+      expect(e[1].validation).to.equal('max');
+    }
+  });
+
+  describe('when', function () {
+    const rules = {
+      payment_method: 'required|in:card,cash',
+      card: Validator.when(['payment_method', 'card'], {
+        number: 'required',
+        cvv: 'required|integer'
+      }),
+      receipt: Validator.when((data) => data.total > 100, 'required|email', 'email')
+    };
+
+    it('should validate the rules of a group when the field matches the value', function *() {
+      try {
+        const passed = yield Validator.validateAll({payment_method: 'card', card: {cvv: 'abc'}}, rules);
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).to.have.length(2);
+        expect(e[0].field).to.equal('card.number');
+        expect(e[0].validation).to.equal('required');
+        expect(e[1].field).to.equal('card.cvv');
+        expect(e[1].validation).to.equal('integer');
+      }
+    });
+
+    it('should skip the rules of a group when the condition does not match', function *() {
+      const data = {payment_method: 'cash'};
+      const passed = yield Validator.validateAll(data, rules);
+      expect(passed).to.equal(data);
+    });
+
+    it('should run the otherwise rules when a function condition is false', function *() {
+      try {
+        const passed = yield Validator.validate({payment_method: 'cash', total: 50, receipt: 'foo'}, rules);
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e[0].field).to.equal('receipt');
+        expect(e[0].validation).to.equal('email');
+      }
+
+      try {
+        const passed = yield Validator.validate({payment_method: 'cash', total: 500}, rules);
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e[0].field).to.equal('receipt');
+        expect(e[0].validation).to.equal('required');
+      }
+    });
+
+    it('should expand array expressions inside groups', function *() {
+      const schema = Validator.compile({items: Validator.when(['type', 'order'], [{sku: 'required'}])});
+      try {
+        const passed = yield schema.validate({type: 'order', items: [{sku: 'a'}, {}]});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e[0].field).to.equal('items.1.sku');
+      }
+      yield schema.validate({type: 'quote', items: [{}]});
+    });
+
+    it('should match conditions against values posted as strings', function *() {
+      const schema = Validator.compile({code: Validator.when(['count', 1], 'required')});
+      try {
+        const passed = yield schema.validate({count: '1'});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e[0].field).to.equal('code');
+        expect(e[0].validation).to.equal('required');
+      }
+      yield schema.validate({count: '2'});
+    });
+
+    it('should drop required inside groups of partial schemas', function *() {
+      const schema = Validator.compile(rules).partial();
+      const passed = yield schema.validate({payment_method: 'card', card: {cvv: 123}}, {mode: 'normal'});
+      expect(passed.card).deep.equal({cvv: 123});
+    });
+
+    it('should throw when the condition is neither a function nor a pair', function () {
+      expect(() => Validator.when('payment_method', {})).to.throw('Invalid condition, expects a function or a [field, value] pair');
+    });
+
+    it('should throw when the field of the condition is an array expression', function () {
+      expect(() => Validator.when(['items.*.kind', 'x'], {})).to.throw('Invalid condition field items.*.kind, use a function to match elements of arrays');
+    });
+
+    it('should reject when a condition throws an error', function *() {
+      const rules = {code: Validator.when((data) => data.x.y, 'required')};
+      const schema = Validator.compile(rules);
+      for (const run of [() => schema.validate({}), () => schema.validateAll({}), () => Validator.validate({}, rules)]) {
+        try {
+          const passed = yield run();
+          expect(passed).not.to.exist();
+        } catch (e) {
+          expect(e).to.have.length(1);
+          expect(e[0]).to.be.an.instanceof(TypeError);
+        }
+      }
+      expect(() => schema.validateSync({})).to.throw(TypeError);
+    });
+  });
+
+  describe('sometimes and exclude rules', function () {
+    it('should validate fields using sometimes only when present', function *() {
+      const rules = {email: 'sometimes|required|email'};
+      const passed = yield Validator.validate({}, rules);
+      expect(passed).deep.equal({});
+
+      try {
+        const failed = yield Validator.validate({email: ''}, rules);
+        expect(failed).not.to.exist();
+      } catch (e) {
+        expect(e[0].validation).to.equal('required');
+      }
+    });
+
+    it('should exclude a field when another field has a given value', function *() {
+      const rules = {type: 'required', company: 'exclude_if:type,person|required'};
+      const passed = yield Validator.validate({type: 'person', company: 'acme'}, rules, {}, {validated: true});
+      expect(passed).deep.equal({type: 'person'});
+
+      try {
+        const failed = yield Validator.validate({type: 'business'}, rules);
+        expect(failed).not.to.exist();
+      } catch (e) {
+        expect(e[0].field).to.equal('company');
+        expect(e[0].validation).to.equal('required');
+      }
+    });
+
+    it('should exclude a field unless another field has a given value', function *() {
+      const rules = {'items.*.discount': 'exclude_unless:coupon,1|required|numeric'};
+      const passed = yield Validator.validateAll({coupon: 0, items: [{}, {discount: 'a'}]}, rules, {}, {validated: true});
+      expect(passed).deep.equal({});
+
+      try {
+        const failed = yield Validator.validateAll({coupon: 1, items: [{discount: 5}, {}]}, rules);
+        expect(failed).not.to.exist();
+      } catch (e) {
+        expect(e).to.have.length(1);
+        expect(e[0].field).to.equal('items.1.discount');
+      }
+    });
+
+    it('should exclude fields using the excludes method of custom rules', function *() {
+      const validator = Validator.create();
+      const draft = (ctx) => false;
+      draft.excludes = (data) => data.status === 'draft';
+      validator.extend('skipOnDraft', draft);
+
+      const passed = yield validator.validate({status: 'draft', title: ''}, {title: 'skip_on_draft'});
+      expect(passed.status).to.equal('draft');
+      try {
+        const failed = yield validator.validate({status: 'live'}, {title: 'skip_on_draft'});
+        expect(failed).not.to.exist();
+      } catch (e) {
+        expect(e[0].validation).to.equal('skip_on_draft');
+      }
+    });
+
+    it('should not report excluded fields as unknown', function () {
+      const data = {type: 'person', company: 'acme'};
+      const rules = {type: 'required', company: 'exclude_if:type,person|required'};
+      expect(Validator.validateSync(data, rules, {}, {rejectUnknown: true, validated: true})).deep.equal({type: 'person'});
+    });
+  });
+
+  describe('inline rules', function () {
+    it('should fail when an inline function returns false', function *() {
+      const rules = {
+        username: ['required', [(value) => value !== 'admin'][0]]
+      };
+
+      const passed = yield Validator.validate({username: 'virk'}, rules);
+      expect(passed).deep.equal({username: 'virk'});
+
+      try {
+        const failed = yield Validator.validate({username: 'admin'}, rules);
+        expect(failed).not.to.exist();
+      } catch (e) {
+        expect(e[0].field).to.equal('username');
+        expect(e[0].validation).to.equal('inline');
+        expect(e[0].message).to.equal('inline validation failed on username');
+      }
+    });
+
+    it('should wait for inline functions returning a promise', function *() {
+      const rules = {
+        username: [(value) => Promise.resolve(value !== 'admin')]
+      };
+
+      try {
+        const failed = yield Validator.validate({username: 'admin'}, rules);
+        expect(failed).not.to.exist();
+      } catch (e) {
+        expect(e[0].validation).to.equal('inline');
+      }
+    });
+
+    it('should pass the value and the validation context to inline functions', function *() {
+      const calls = [];
+      const data = {password: 'secret', password_confirmation: 'secret'};
+      const rules = {
+        password: [function (value, ctx) {
+          calls.push({value, field: ctx.field, data: ctx.data, message: ctx.message});
+          return value === ctx.data[`${ctx.field}_confirmation`];
+        }]
+      };
+
+      yield Validator.validate(data, rules, {'password.inline': '{{field}} does not match'});
+      expect(calls).deep.equal([{value: 'secret', field: 'password', data, message: 'password does not match'}]);
+    });
+
+    it('should make use of the message defined next to an inline function', function *() {
+      const rules = {
+        password: ['required', {rule: (value) => /[0-9]/.test(value), message: '{{field}} needs a number'}]
+      };
+
+      try {
+        const failed = yield Validator.validate({password: 'secret'}, rules);
+        expect(failed).not.to.exist();
+      } catch (e) {
+        expect(e[0].validation).to.equal('inline');
+        expect(e[0].message).to.equal('password needs a number');
+      }
+    });
+
+    it('should report named inline functions using their snake case name', function *() {
+      const hasNumber = function (value) {
+        return /[0-9]/.test(value);
+      };
+
+      try {
+        const failed = yield Validator.validate({password: 'secret'}, {password: hasNumber}, {has_number: 'numbers please'});
+        expect(failed).not.to.exist();
+      } catch (e) {
+        expect(e[0].validation).to.equal('has_number');
+        expect(e[0].message).to.equal('numbers please');
+      }
+    });
+
+    it('should use errors thrown by inline functions as the message', function *() {
+      const rules = {
+        username: [() => Promise.reject('username is taken')]
+      };
+
+      try {
+        const failed = yield Validator.validateAll({username: 'virk'}, rules);
+        expect(failed).not.to.exist();
+      } catch (e) {
+        expect(e[0].validation).to.equal('inline');
+        expect(e[0].message).to.equal('username is taken');
+      }
+    });
+  });
+
+  it('should validate dates against offsets and date keywords', function *() {
+    const rules = {
+      starts_at: 'after:today|before_offset_of:1,month',
+      ends_at: 'after_offset_of:2,weeks'
+    };
+    const inTenDays = new Date(new Date().setDate(new Date().getDate() + 10));
+    const body = {starts_at: inTenDays, ends_at: inTenDays};
+    try {
+      const passed = yield Validator.validateAll(body, rules);
+      expect(passed).not.to.exist();
+    } catch (e) {
+      expect(e).deep.equal([{field: 'ends_at', validation: 'after_offset_of', message: 'after_offset_of validation failed on ends_at'}]);
+    }
+  });
+
+  it('should throw an error when offset of a date rule is not valid', function *() {
+    const body = {ends_at: new Date()};
+    try {
+      const passed = yield Validator.validateAll(body, {ends_at: 'after_offset_of:2,fortnights'});
+      expect(passed).not.to.exist();
+    } catch (e) {
+      expect(e).to.have.length(1);
+      expect(e[0]).to.be.an.instanceof(Error);
+      expect(e[0].message).to.match(/Invalid date offset unit fortnights/);
+    }
+    const fn = () => Validator.validateSync(body, {ends_at: 'before_offset_of:two,days'});
+    expect(fn).to.throw(/Invalid date offset two/);
+  });
+
+  it('should compare sizes of fields using gt, gte, lt and lte', function *() {
+    const rules = {
+      max_guests: 'integer|gte:min_guests',
+      discount: 'numeric|lt:price',
+      tags: 'array|lte:3'
+    };
+    const body = {min_guests: 4, max_guests: 2, discount: 5, price: 20, tags: ['a', 'b']};
+    try {
+      const passed = yield Validator.validateAll(body, rules);
+      expect(passed).not.to.exist();
+    } catch (e) {
+      expect(e).deep.equal([{field: 'max_guests', validation: 'gte', message: 'gte validation failed on max_guests'}]);
+    }
+  });
+
+  it('should report comparisons of fields having different types', function *() {
+    const rules = {tags: 'gt:name', title: 'lt:name'};
+    try {
+      const passed = yield Validator.validateAll({tags: ['a', 'b', 'c'], name: 'ab', title: 'a'}, rules);
+      expect(passed).not.to.exist();
+    } catch (e) {
+      expect(e).deep.equal([{field: 'tags', validation: 'gt', message: 'gt validation failed on tags', reason: 'type_mismatch'}]);
+    }
+  });
+
+  it('should report default messages of digits and multiple_of rules', function *() {
+    const rules = {pin: 'digits:4', otp: 'digits_between:4,6', price: 'multiple_of:0.05'};
+    try {
+      const passed = yield Validator.validateAll({pin: '123', otp: '1234567', price: 1.15}, rules);
+      expect(passed).not.to.exist();
+    } catch (e) {
+      expect(e).deep.equal([
+        {field: 'pin', validation: 'digits', message: 'pin must have 4 digits'},
+        {field: 'otp', validation: 'digits_between', message: 'otp must have between 4 and 6 digits'}
+      ]);
+    }
+  });
+
+  it('should fail every duplicated element with the distinct rule', function *() {
+    const rules = {'items.*.sku': 'required|distinct:ignore_case'};
+    const body = {items: [{sku: 'A1'}, {sku: 'b2'}, {sku: 'a1'}]};
+    try {
+      const passed = yield Validator.validateAll(body, rules);
+      expect(passed).not.to.exist();
+    } catch (e) {
+      expect(e).deep.equal([
+        {field: 'items.0.sku', validation: 'distinct', message: 'distinct validation failed on items.0.sku', duplicates: ['items.2.sku']},
+        {field: 'items.2.sku', validation: 'distinct', message: 'distinct validation failed on items.2.sku', duplicates: ['items.0.sku']}
+      ]);
+    }
+
+    try {
+      Validator.validateSync(body, rules);
+      expect(true).to.equal(false);
+    } catch (e) {
+      expect(e[0].duplicates).deep.equal(['items.2.sku']);
+    }
+  });
+
+  it('should fail arrays having duplicate elements with the distinct rule', function *() {
+    const rules = {tags: 'array|distinct'};
+    try {
+      const passed = yield Validator.validateAll({tags: ['a', 'b', 'a']}, rules);
+      expect(passed).not.to.exist();
+    } catch (e) {
+      expect(e).deep.equal([
+        {field: 'tags', validation: 'distinct', message: 'distinct validation failed on tags', duplicates: [0, 2]}
+      ]);
+    }
+    const passed = yield Validator.validateAll({tags: ['a', 'b']}, rules);
+    expect(passed).deep.equal({tags: ['a', 'b']});
+  });
+
+  it('should keep details of errors thrown as objects by custom rules', function () {
+    const validator = Validator.create();
+    validator.extend('available', (ctx) => {
+      throw {message: `${ctx.field} is taken`, suggestions: ['virk1']};
+    });
+    try {
+      validator.validateSync({username: 'virk'}, {username: 'available'});
+      expect(true).to.equal(false);
+    } catch (e) {
+      expect(e).deep.equal([{field: 'username', validation: 'available', message: 'username is taken', suggestions: ['virk1']}]);
+    }
+  });
+
+  it('should validate filled and required_array_keys rules', function () {
+    const rules = {nickname: 'filled', address: 'required_array_keys:city,zip'};
+    expect(Validator.validateSync({address: {city: 'Delhi', zip: '110001'}}, rules)).deep.equal({address: {city: 'Delhi', zip: '110001'}});
+    try {
+      Validator.validateAllSync({nickname: '', address: {city: 'Delhi'}}, rules);
+      expect(true).to.equal(false);
+    } catch (e) {
+      expect(e.map((error) => error.validation)).deep.equal(['filled', 'required_array_keys']);
+    }
+  });
+
+  describe('adapters', function () {
+    const users = [{id: 1, email: 'virk@adonisjs.com'}, {id: 2, email: 'foo@bar.com'}];
+
+    it('should look up values using the adapter of an instance', function *() {
+      const validator = Validator.create({adapter: Adapters.memory({users})});
+      const rules = {email: 'required|email|unique:users', referrer: 'exists:users,email'};
+      try {
+        const passed = yield validator.validateAll({email: 'foo@bar.com', referrer: 'baz@bar.com'}, rules);
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).deep.equal([
+          {field: 'email', validation: 'unique', message: 'unique validation failed on email'},
+          {field: 'referrer', validation: 'exists', message: 'exists validation failed on referrer'}
+        ]);
+      }
+    });
+
+    it('should ignore the record of a referenced id when checking uniqueness', function () {
+      const validator = Validator.create({adapter: Adapters.memory({users})});
+      const data = {id: 2, email: 'foo@bar.com'};
+      expect(validator.validateSync(data, {email: 'unique:users,email,$id'})).to.equal(data);
+    });
+
+    it('should check uniqueness against every record when the referenced id is missing', function () {
+      const validator = Validator.create({adapter: Adapters.memory({users})});
+      const fn = () => validator.validateSync({email: 'foo@bar.com'}, {email: 'unique:users,email,$id'});
+      expect(fn).to.throw();
+    });
+
+    it('should prefer the adapter passed as option over the one set on the validator', function *() {
+      const validator = Validator.create();
+      validator.setAdapter(Adapters.memory({users}));
+      const data = {email: 'virk@adonisjs.com'};
+      const passed = yield validator.validate(data, {email: 'unique:users'}, {}, {adapter: Adapters.memory()});
+      expect(passed).to.equal(data);
+    });
+
+    it('should throw an error when synchronously validating with an async adapter', function () {
+      const validator = Validator.create({adapter: {lookup: () => Promise.resolve(0)}});
+      const fn = () => validator.validateSync({email: 'foo@bar.com'}, {email: 'unique:users'});
+      expect(fn).to.throw('unique requires an adapter with a synchronous lookup for synchronous validation');
+      const withOption = () => Validator.validateSync({email: 'x'}, {email: 'unique:users'}, {}, {adapter: {lookup: () => Promise.resolve(1)}});
+      expect(withOption).to.throw('unique requires an adapter with a synchronous lookup for synchronous validation');
+    });
+
+    it('should not leave the promise of an adapter wrongly declared as sync unhandled', function *() {
+      const unhandled = [];
+      const onUnhandled = (reason) => unhandled.push(reason);
+      process.on('unhandledRejection', onUnhandled);
+      try {
+        const validator = Validator.create({adapter: {sync: true, lookup: () => Promise.resolve(1)}});
+        const fn = () => validator.validateSync({email: 'x'}, {email: 'unique:users'});
+        expect(fn).to.throw('unique returned a promise, async rules cannot be used for synchronous validation');
+        yield new Promise((resolve) => setTimeout(resolve, 10));
+      } finally {
+        process.removeListener('unhandledRejection', onUnhandled);
+      }
+      expect(unhandled).deep.equal([]);
+    });
+
+    it('should reject with an error when no adapter is defined', function *() {
+      try {
+        const passed = yield Validator.create().validate({email: 'foo@bar.com'}, {email: 'unique:users'});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).to.have.length(1);
+        expect(e[0]).to.be.an.instanceof(Error);
+        expect(e[0].message).to.equal('unique requires an adapter, register one using setAdapter');
+      }
+      const fn = () => Validator.create().validateAllSync({email: 'foo@bar.com'}, {email: 'exists:users'});
+      expect(fn).to.throw('exists requires an adapter, register one using setAdapter');
+    });
+
+    it('should throw an error when setting an adapter without lookup method', function () {
+      const fn = () => Validator.create().setAdapter({});
+      expect(fn).to.throw('Invalid arguments, setAdapter expects an adapter with a lookup method');
+    });
+  });
+
+  it('should validate nested schemas of data having a rule field', function () {
+    const rules = {firewall: {rule: 'required|string', port: 'integer'}};
+    expect(Validator.validateSync({firewall: {rule: 'allow', port: 22}}, rules)).deep.equal({firewall: {rule: 'allow', port: 22}});
+    try {
+      Validator.validateSync({firewall: {port: 22}}, rules);
+      expect(true).to.equal(false);
+    } catch (e) {
+      expect(e[0].field).to.equal('firewall.rule');
+      expect(e[0].validation).to.equal('required');
+    }
+  });
+
+  describe('field references', function () {
+    it('should compare a field with the value of another field', function *() {
+      const rules = {start_date: 'required|date', end_date: 'required|date|after:$start_date'};
+      const passed = yield Validator.validate({start_date: '2017-01-10', end_date: '2017-01-20'}, rules);
+      expect(passed).deep.equal({start_date: '2017-01-10', end_date: '2017-01-20'});
+
+      try {
+        const failed = yield Validator.validate({start_date: '2017-01-10', end_date: '2017-01-05'}, rules);
+        expect(failed).not.to.exist();
+      } catch (e) {
+        expect(e).deep.equal([{field: 'end_date', validation: 'after', message: 'after validation failed on end_date'}]);
+      }
+    });
+
+    it('should bind wildcards of a reference to the indices of the field under validation', function *() {
+      const rules = {'items.*.qty': 'integer|max:$items.*.stock'};
+      const body = {items: [{qty: 2, stock: 5}, {qty: 4, stock: 3}, {qty: 3, stock: 3}]};
+      try {
+        const passed = yield Validator.validateAll(body, rules);
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).deep.equal([{field: 'items.1.qty', validation: 'max', message: 'max validation failed on items.1.qty'}]);
+      }
+    });
+
+    it('should skip validations referencing a missing field', function *() {
+      const rules = {max_guests: 'integer|min:$min_guests', ends_at: 'after:$starts_at', starts_at: 'before:$ends_at'};
+      const late = {max_guests: 4, ends_at: '2099-01-01'};
+      const early = {max_guests: 4, starts_at: '2000-01-01'};
+      expect(yield Validator.validateAll(late, rules)).to.equal(late);
+      expect(Validator.validateAllSync(early, rules)).to.equal(early);
+    });
+
+    it('should skip validations referencing a missing element of an array', function () {
+      const rules = {'items.*.qty': 'under:$stock.*'};
+      const data = {items: [{qty: 5}, {qty: 9}], stock: [2]};
+      try {
+        Validator.validateAllSync(data, rules);
+        expect(true).to.equal(false);
+      } catch (e) {
+        expect(e).to.have.length(1);
+        expect(e[0].field).to.equal('items.0.qty');
+      }
+    });
+
+    it('should still run validations once the referenced field is defined', function () {
+      const rules = {ends_at: 'after:$starts_at'};
+      const fn = () => Validator.validateSync({ends_at: '2000-01-01', starts_at: '2010-01-01'}, rules);
+      expect(fn).to.throw();
+    });
+
+    it('should pass resolved references to custom rules', function () {
+      let receivedArgs = null;
+      const validator = Validator.create();
+      validator.extend('priced', (ctx) => { receivedArgs = ctx.args; });
+      const data = {price: 10, currency: 'EUR'};
+      const passed = validator.validateSync(data, {price: {rule: 'priced', args: ['$currency', '$$currency', '$10', 'EUR']}});
+      expect(passed).to.equal(data);
+      expect(receivedArgs).deep.equal(['EUR', '$currency', '$10', 'EUR']);
+    });
+
+    it('should keep arguments which are not field paths as they are', function () {
+      expect(Validator.validateSync({cur: '$'}, {cur: 'in:$,€'})).deep.equal({cur: '$'});
+      expect(Validator.validateSync({price: '$10'}, {price: 'starts_with:$'})).deep.equal({price: '$10'});
+      expect(Validator.validateSync({price: '$10'}, {price: 'equals:$10'})).deep.equal({price: '$10'});
+    });
+  });
+
+  describe('context rules', function () {
+    it('should pass a context object to rules accepting a single argument', function *() {
+      const validator = Validator.create();
+      const contexts = [];
+      validator.extend('inStock', function (ctx) {
+        contexts.push(ctx);
+        return ctx.value <= ctx.parent.stock;
+      }, '{{field}} is out of stock');
+
+      const data = {items: [{qty: 2, stock: 5}, {qty: 8, stock: 5}]};
+      const rules = {'items.*.qty': 'required|in_stock:soft'};
+
+      try {
+        const passed = yield validator.validateAll(data, rules, {}, {mode: 'strict', locale: 'en'});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).to.have.length(1);
+        expect(e[0].field).to.equal('items.1.qty');
+        expect(e[0].validation).to.equal('in_stock');
+        expect(e[0].message).to.equal('items.1.qty is out of stock');
+      }
+
+      expect(contexts).to.have.length(2);
+      const ctx = contexts[1];
+      expect(ctx.value).to.equal(8);
+      expect(ctx.field).to.equal('items.1.qty');
+      expect(ctx.path).deep.equal(['items', '1', 'qty']);
+      expect(ctx.data).to.equal(data);
+      expect(ctx.root).to.equal(data);
+      expect(ctx.parent).to.equal(data.items[1]);
+      expect(ctx.args).deep.equal(['soft']);
+      expect(ctx.siblingRules).deep.equal([{name: 'required', args: []}]);
+      expect(ctx.mode).to.equal('strict');
+      expect(ctx.options.locale).to.equal('en');
+    });
+
+    it('should use the data as parent of top level fields', function *() {
+      const validator = Validator.create();
+      let parent = null;
+      validator.extend('capture', function (ctx) {
+        parent = ctx.parent;
+        return true;
+      });
+
+      const data = {username: 'virk'};
+      yield validator.validate(data, {username: 'capture'});
+      expect(parent).to.equal(data);
+    });
+
+    it('should use values thrown by context rules as the message', function *() {
+      const validator = Validator.create();
+      validator.extend('taken', function (ctx) {
+        return Promise.reject(`${ctx.value} is taken`);
+      });
+
+      try {
+        const passed = yield validator.validate({username: 'virk'}, {username: 'taken'});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e[0].validation).to.equal('taken');
+        expect(e[0].message).to.equal('virk is taken');
+      }
+    });
+
+    it('should pass the context object to inline rules', function *() {
+      let context = null;
+      const data = {password: 'secret'};
+      yield Validator.validate(data, {password: ['required', (value, ctx) => {
+        context = ctx;
+        return true;
+      }]}, {}, {mode: 'normal'});
+      expect(context.value).to.equal('secret');
+      expect(context.path).deep.equal(['password']);
+      expect(context.siblingRules).deep.equal([{name: 'required', args: []}]);
+      expect(context.mode).to.equal('normal');
+    });
+  });
+
+  describe('compile', function () {
+    it('should validate multiple data objects with a compiled schema', function *() {
+      const schema = Validator.compile({username: 'required|alpha'});
+
+      const passed = yield schema.validate({username: 'virk'});
+      expect(passed).deep.equal({username: 'virk'});
+
+      try {
+        const failed = yield schema.validate({username: 'virk22'});
+        expect(failed).not.to.exist();
+      } catch (e) {
+        expect(e).to.be.an('array');
+        expect(e[0].field).to.equal('username');
+        expect(e[0].validation).to.equal('alpha');
+      }
+    });
+
+    it('should return all errors using validateAll of a compiled schema', function *() {
+      const schema = Validator.compile({username: 'required', email: 'required'}, {required: '{{field}} is required'});
+
+      try {
+        const passed = yield schema.validateAll({});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).to.have.length(2);
+        expect(e[0].message).to.equal('username is required');
+        expect(e[1].message).to.equal('email is required');
+      }
+    });
+
+    it('should throw unknown rules at compile time', function () {
+      const fn = function () {
+        return Validator.compile({username: 'required|foo'});
+      };
+      expect(fn).to.throw(/foo is not defined as a validation/);
+    });
+
+    it('should not parse rules again when validating', function *() {
+      const schema = Validator.compile({'users.*.email': 'required|email'});
+      const parse = Parser.parse;
+      let parseCalls = 0;
+      Parser.parse = function () {
+        parseCalls++;
+        return parse.apply(Parser, arguments);
+      };
+
+      try {
+        yield schema.validate({users: [{email: 'foo@bar.com'}]});
+        yield schema.validate({users: [{email: 'foo@bar.com'}, {email: 'baz@bar.com'}]});
+      } finally {
+        Parser.parse = parse;
+      }
+      expect(parseCalls).to.equal(0);
+    });
+
+    it('should expand array expressions against the data on every run', function *() {
+      const schema = Validator.compile({'users.*.email': 'required|email'});
+
+      yield schema.validate({users: [{email: 'foo@bar.com'}]});
+      try {
+        const passed = yield schema.validate({users: [{email: 'foo@bar.com'}, {email: 'baz'}]});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e[0].field).to.equal('users.1.email');
+        expect(e[0].validation).to.equal('email');
+      }
+    });
+
+    it('should accept the mode option when validating a compiled schema', function *() {
+      Validator.setMode('normal');
+      const schema = Validator.compile({select: 'array'});
+
+      try {
+        const passed = yield schema.validate({select: ''}, {mode: 'strict'});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e[0].validation).to.equal('array');
+      }
+    });
+  });
+
+  describe('sync', function () {
+    it('should return the data when synchronous validation passes', function () {
+      const data = {username: 'virk', email: 'virk@adonisjs.com'};
+      expect(Validator.validateSync(data, {username: 'required|alpha', email: 'required|email'})).to.equal(data);
+    });
+
+    it('should throw the first error when synchronous validation fails', function () {
+      try {
+        Validator.validateSync({username: 'virk22'}, {username: 'required|alpha', email: 'required'});
+        expect(true).to.equal(false);
+      } catch (e) {
+        expect(e).to.have.length(1);
+        expect(e[0].field).to.equal('username');
+        expect(e[0].validation).to.equal('alpha');
+        expect(e[0].message).to.equal('alpha validation failed on username');
+      }
+    });
+
+    it('should throw all errors using validateAllSync', function () {
+      try {
+        Validator.validateAllSync({users: [{email: 'foo'}, {}]}, {'users.*.email': 'required|email'}, {required: '{{field}} is required'});
+        expect(true).to.equal(false);
+      } catch (e) {
+        expect(e).to.have.length(2);
+        expect(e[0].field).to.equal('users.0.email');
+        expect(e[0].validation).to.equal('email');
+        expect(e[1].message).to.equal('users.1.email is required');
+      }
+    });
+
+    it('should run context and inline rules synchronously', function () {
+      const validator = Validator.create();
+      validator.extend('even', (ctx) => ctx.value % 2 === 0, '{{field}} must be even');
+      const rules = {age: ['even', (value) => value > 18]};
+
+      expect(validator.validateSync({age: 20}, rules)).deep.equal({age: 20});
+      try {
+        validator.validateAllSync({age: 7}, rules);
+        expect(true).to.equal(false);
+      } catch (e) {
+        expect(e).to.have.length(2);
+        expect(e[0].message).to.equal('age must be even');
+        expect(e[1].validation).to.equal('inline');
+      }
+    });
+
+    it('should run every built-in rule synchronously', function () {
+      const data = {avatar: {path: 'avatar.png'}};
+      expect(Validator.validateSync(data, {avatar: 'image|dimensions:min_width=100'})).to.equal(data);
+      builtInRules.forEach((name) => {
+        expect(Validations[name].sync, name).to.be.a('function');
+      });
+    });
+
+    it('should throw when the schema contains an async only rule', function () {
+      const validator = Validator.create();
+      validator.extend('unique', function (data, field, message) {
+        return Promise.resolve(message);
+      });
+      const fn = function () {
+        return validator.validateSync({username: 'virk'}, {username: 'required|unique'});
+      };
+      expect(fn).to.throw(/unique is an async rule and cannot be used for synchronous validation/);
+    });
+
+    it('should throw when a rule returns a promise during synchronous validation', function () {
+      const fn = function () {
+        return Validator.validateSync({username: 'virk'}, {username: [() => Promise.resolve(true)]});
+      };
+      expect(fn).to.throw(/inline returned a promise/);
+    });
+
+    it('should validate synchronously with a compiled schema', function () {
+      const schema = Validator.compile({username: 'required|alpha'});
+      expect(schema.validateSync({username: 'virk'})).deep.equal({username: 'virk'});
+      expect(() => schema.validateSync({username: ''})).to.throw();
+    });
+  });
+
+  describe('schema composition', function () {
+    const userSchema = Validator.compile({
+      username: 'required|alpha',
+      email: 'required|email',
+      profile: {age: 'integer', links: [['url', 'max:100']]}
+    }, {required: '{{field}} is required'});
+
+    it('should keep the flattened rules and messages of a schema', function () {
+      expect(userSchema.rules).deep.equal({
+        username: 'required|alpha',
+        email: 'required|email',
+        'profile.age': 'integer',
+        'profile.links.*': ['url', 'max:100']
+      });
+      expect(userSchema.messages).deep.equal({required: '{{field}} is required'});
+    });
+
+    it('should add and replace fields using extend', function *() {
+      const schema = userSchema.extend({password: 'required|min:6', username: 'alpha'});
+      expect(schema.rules.username).to.equal('alpha');
+      try {
+        const passed = yield schema.validateAll({email: 'foo@bar.com'});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).to.have.length(1);
+        expect(e[0].message).to.equal('password is required');
+      }
+      expect(userSchema.rules).not.to.have.property('password');
+    });
+
+    it('should pick fields along with their children', function () {
+      const schema = userSchema.pick(['email', 'profile']);
+      expect(schema.rules).deep.equal({
+        email: 'required|email',
+        'profile.age': 'integer',
+        'profile.links.*': ['url', 'max:100']
+      });
+    });
+
+    it('should omit fields along with their children', function () {
+      expect(userSchema.omit('profile').rules).deep.equal({username: 'required|alpha', email: 'required|email'});
+      expect(userSchema.omit('profile.links.*').rules).to.have.all.keys('username', 'email', 'profile.age');
+    });
+
+    it('should drop the required rule using partial', function *() {
+      const schema = userSchema.partial();
+      const passed = yield schema.validateAll({email: 'foo@bar.com'});
+      expect(passed).deep.equal({email: 'foo@bar.com'});
+      try {
+        const failed = yield schema.validate({username: 'virk22'});
+        expect(failed).not.to.exist();
+      } catch (e) {
+        expect(e[0].validation).to.equal('alpha');
+      }
+    });
+
+    it('should combine rules of fields defined on both schemas using merge', function *() {
+      const schema = userSchema.merge(Validator.compile({username: 'max:4', role: 'in:"admin,root",user'}, {max: '{{field}} is too long'}));
+      try {
+        const passed = yield schema.validateAll({username: 'virk22', email: 'foo@bar.com', role: 'admin,root'});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).to.have.length(2);
+        expect(e[0].validation).to.equal('alpha');
+        expect(e[1].message).to.equal('username is too long');
+      }
+    });
+
+    it('should merge plain rules and keep inline rules', function *() {
+      const notAdmin = (value) => value !== 'admin';
+      const schema = userSchema.partial().merge({username: [notAdmin]});
+      try {
+        const passed = yield schema.validate({username: 'admin'});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e[0].validation).to.equal('not_admin');
+      }
+    });
+  });
+
+  describe('create', function () {
+    it('should register rules on the instance only', function *() {
+      const validator = Validator.create();
+      validator.extend('isAdmin', function (data, field, message) {
+        return Promise.reject(message);
+      }, 'must be an admin');
+
+      try {
+        const passed = yield validator.validate({role: 'guest'}, {role: 'is_admin'});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e[0].validation).to.equal('is_admin');
+        expect(e[0].message).to.equal('must be an admin');
+      }
+
+      try {
+        const passed = yield Validator.validate({role: 'guest'}, {role: 'is_admin'});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).to.match(/is_admin is not defined as a validation/);
+      }
+    });
+
+    it('should not inherit rules extended on the default validator', function *() {
+      Validator.extend('onlyGlobal', function () {
+        return Promise.resolve('validation passed');
+      }, 'only global');
+
+      const validator = Validator.create();
+      try {
+        const passed = yield validator.validate({name: 'virk'}, {name: 'only_global'});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).to.match(/only_global is not defined as a validation/);
+      }
+    });
+
+    it('should accept rules and messages when creating an instance', function *() {
+      const validator = Validator.create({
+        rules: {
+          isEven: function (data, field, message) {
+            return data[field] % 2 === 0 ? Promise.resolve('validation passed') : Promise.reject(message);
+          }
+        },
+        messages: {
+          is_even: '{{field}} must be even',
+          required: '{{field}} is missing'
+        }
+      });
+
+      try {
+        const passed = yield validator.validateAll({age: 3}, {age: 'is_even', name: 'required'});
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e).to.have.length(2);
+        expect(e[0].message).to.equal('age must be even');
+        expect(e[1].message).to.equal('name is missing');
+      }
+    });
+
+    it('should keep the mode of an instance isolated', function *() {
+      Validator.setMode('normal');
+      const validator = Validator.create({mode: 'strict'});
+
+      const rules = {select: 'array'};
+      const body = {select: ''};
+
+      try {
+        const passed = yield validator.validate(body, rules);
+        expect(passed).not.to.exist();
+      } catch (e) {
+        expect(e[0].field).to.equal('select');
+        expect(e[0].validation).to.equal('array');
+      }
+
+      const passed = yield Validator.validate(body, rules);
+      expect(passed).deep.equal(body);
+    });
+
+    it('should keep raw validators extended on an instance isolated', function () {
+      const validator = Validator.create();
+      validator.is.extend('instanceOnly', function () {
+        return true;
+      });
+      expect(validator.is.instanceOnly()).to.equal(true);
+      expect(Validator.is.instanceOnly).to.equal(undefined);
+    });
+  });
 });